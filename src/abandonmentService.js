@@ -0,0 +1,77 @@
+const { query } = require('./db');
+
+const ABANDONMENT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const FREE_ABANDONMENTS = 2;
+// Cooldown after the 3rd, 4th, ... abandonment inside the window; the last step repeats.
+const COOLDOWN_STEPS_MS = [2, 5, 15, 30, 60].map((minutes) => minutes * 60 * 1000);
+
+let schemaReady = null;
+
+function ensureAbandonmentSchema() {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await query(
+        `CREATE TABLE IF NOT EXISTS game_abandonments (
+          id BIGSERIAL PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          game_id TEXT,
+          reason TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`
+      );
+      await query(
+        'CREATE INDEX IF NOT EXISTS game_abandonments_user_idx ON game_abandonments (user_id, created_at)'
+      );
+    })().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+async function recordAbandonment({ userId, gameId, reason }) {
+  if (!userId) return;
+  await ensureAbandonmentSchema();
+  await query(
+    'INSERT INTO game_abandonments (user_id, game_id, reason) VALUES ($1, $2, $3)',
+    [userId, gameId || null, reason]
+  );
+}
+
+function getCooldownMs(count) {
+  if (count <= FREE_ABANDONMENTS) return 0;
+  const step = Math.min(count - FREE_ABANDONMENTS, COOLDOWN_STEPS_MS.length) - 1;
+  return COOLDOWN_STEPS_MS[step];
+}
+
+/**
+ * Resolves to `{ count, until }` where `until` is the ISO time the user may
+ * seek again, or null when they are not cooling down. The cooldown grows with
+ * the number of abandonments in the last ABANDONMENT_WINDOW_MS and runs from
+ * the most recent one.
+ */
+async function getMatchmakingCooldown(userId, now = Date.now()) {
+  if (!userId) return { count: 0, until: null };
+  await ensureAbandonmentSchema();
+  const result = await query(
+    `SELECT COUNT(*)::int AS count, MAX(created_at) AS last_at
+     FROM game_abandonments
+     WHERE user_id = $1 AND created_at > $2`,
+    [userId, new Date(now - ABANDONMENT_WINDOW_MS).toISOString()]
+  );
+  const row = result.rows[0] || {};
+  const count = Number(row.count) || 0;
+  const cooldownMs = getCooldownMs(count);
+  if (!cooldownMs || !row.last_at) return { count, until: null };
+  const until = new Date(row.last_at).getTime() + cooldownMs;
+  return { count, until: until > now ? new Date(until).toISOString() : null };
+}
+
+module.exports = {
+  ABANDONMENT_WINDOW_MS,
+  ensureAbandonmentSchema,
+  recordAbandonment,
+  getCooldownMs,
+  getMatchmakingCooldown,
+};
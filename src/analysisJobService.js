@@ -0,0 +1,344 @@
+/*
+ * Background game analysis. A job is stored as soon as it is requested and
+ * runs through stockfishService.analyzeGame in a small in-process queue;
+ * per-ply progress and status changes are emitted on `analysisEvents` so the
+ * socket server can push them, and the finished evaluation graph and
+ * annotations are kept in Postgres for later retrieval.
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const store = require('./analysisJobStore');
+const stockfishService = require('./stockfishService');
+const { findGameForUser } = require('./gameStore');
+const config = require('./config');
+
+const STALE_JOB_MS = 15 * 60_000;
+const STALE_SWEEP_INTERVAL_MS = 60_000;
+// Jobs waiting or running here are touched this often, well inside STALE_JOB_MS.
+const KEEPALIVE_INTERVAL_MS = 60_000;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const JOBS = new Map(); // jobId -> queued or running job
+const queue = [];
+const analysisEvents = new EventEmitter();
+let running = 0;
+let staleSweep = null;
+let lastSweepAt = 0;
+let keepAliveTimer = null;
+// Replaced by the socket server when several instances share the jobs table.
+let cluster = { instanceId: null, isInstanceAlive: async () => false, cancelOnInstance: null };
+
+function analysisError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function toNumberOrUndefined(value) {
+  return Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : undefined;
+}
+
+/** The analysis options that affect the result, in a stable shape. */
+function normalizeSettings({ depth, movetime, skillLevel, multiPv, maxPlies, thresholds, chess960 } = {}) {
+  const cleanThresholds = {};
+  ['inaccuracy', 'mistake', 'blunder'].forEach((key) => {
+    const value = toNumberOrUndefined(thresholds?.[key]);
+    if (value !== undefined) cleanThresholds[key] = value;
+  });
+  return {
+    depth: toNumberOrUndefined(depth) ?? null,
+    movetime: toNumberOrUndefined(movetime) ?? null,
+    skillLevel: toNumberOrUndefined(skillLevel) ?? null,
+    multiPv: toNumberOrUndefined(multiPv) ?? null,
+    maxPlies: toNumberOrUndefined(maxPlies) ?? null,
+    thresholds: cleanThresholds,
+    chess960: chess960 === true,
+  };
+}
+
+function describeJob(job, { includeResult = true } = {}) {
+  return {
+    id: job.id,
+    gameId: job.gameId,
+    status: job.status,
+    settings: job.request.settings,
+    totalPlies: job.totalPlies,
+    analyzedPlies: job.analyzedPlies,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(includeResult ? { result: job.result || null } : {}),
+  };
+}
+
+function publish(job) {
+  analysisEvents.emit('update', job);
+}
+
+function persistUpdate(job, fields) {
+  return store.updateAnalysisJob(job.id, fields).catch((err) => {
+    console.error('Failed to persist analysis job', job.id, err?.message || err);
+    return null;
+  });
+}
+
+async function resolvePgn({ userId, gameId, pgn }) {
+  if (pgn) return pgn;
+  if (!gameId) {
+    throw analysisError('INVALID_PGN', 'PGN is required for analysis.');
+  }
+  if (!userId) {
+    throw analysisError('ACCOUNT_REQUIRED', 'Sign in to analyze a stored game');
+  }
+  const game = await findGameForUser(userId, gameId);
+  if (!game) {
+    throw analysisError('GAME_NOT_FOUND', 'Game not found');
+  }
+  if (!game.metadata.pgn) {
+    throw analysisError('PGN_UNAVAILABLE', 'This game has no stored PGN');
+  }
+  return game.metadata.pgn;
+}
+
+async function runJob(job) {
+  running += 1;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  await persistUpdate(job, { status: 'running', started: true });
+  publish(job);
+
+  const { pgn, settings } = job.request;
+  try {
+    const result = await stockfishService.analyzeGame({
+      pgn,
+      depth: settings.depth ?? undefined,
+      movetime: settings.movetime ?? undefined,
+      skillLevel: settings.skillLevel ?? undefined,
+      multiPv: settings.multiPv ?? undefined,
+      maxPlies: settings.maxPlies ?? undefined,
+      thresholds: settings.thresholds,
+      chess960: settings.chess960,
+      timeoutMs: job.request.timeoutMs ?? undefined,
+      signal: job.controller.signal,
+      onProgress: ({ ply, totalPlies, entry, annotation }) => {
+        job.analyzedPlies = ply;
+        job.totalPlies = totalPlies;
+        analysisEvents.emit('progress', job, { ply, totalPlies, entry, annotation });
+        persistUpdate(job, { analyzedPlies: ply });
+      },
+    });
+    if (job.status === 'running') {
+      job.status = 'completed';
+      job.result = result;
+      job.finishedAt = new Date().toISOString();
+      await persistUpdate(job, { status: 'completed', analyzedPlies: job.analyzedPlies, result, finished: true });
+    }
+  } catch (err) {
+    if (job.status === 'running') {
+      job.status = 'failed';
+      job.error = err.message || String(err);
+      job.finishedAt = new Date().toISOString();
+      await persistUpdate(job, { status: 'failed', error: job.error, finished: true });
+    }
+  } finally {
+    running -= 1;
+    JOBS.delete(job.id);
+    publish(job);
+    pump();
+  }
+}
+
+function pump() {
+  const concurrency = Math.max(1, config.analysisConcurrency || 1);
+  while (running < concurrency && queue.length) {
+    runJob(queue.shift());
+  }
+}
+
+function keepJobsAlive() {
+  if (keepAliveTimer) return;
+  keepAliveTimer = setInterval(() => {
+    if (!JOBS.size) {
+      clearInterval(keepAliveTimer);
+      keepAliveTimer = null;
+      return;
+    }
+    store.touchAnalysisJobs(Array.from(JOBS.keys())).catch((err) => {
+      console.error('Failed to refresh analysis jobs', err?.message || err);
+    });
+  }, KEEPALIVE_INTERVAL_MS);
+  keepAliveTimer.unref?.();
+}
+
+/** Refuses new work when the queue is full or the client already has enough jobs waiting. */
+function checkCapacity(clientId) {
+  if (queue.length >= Math.max(1, config.analysisMaxQueue || 1)) {
+    throw analysisError('ANALYSIS_QUEUE_FULL', 'The analysis queue is full; try again shortly');
+  }
+  if (!clientId) return;
+  const perClient = Math.max(1, config.analysisMaxJobsPerClient || 1);
+  const activeForClient = Array.from(JOBS.values()).filter((job) => job.clientId === clientId).length;
+  if (activeForClient >= perClient) {
+    throw analysisError('TOO_MANY_ANALYSIS_JOBS', `Wait for one of your ${perClient} analyses to finish first`);
+  }
+}
+
+/**
+ * Lets this service recognise jobs that another live instance is running.
+ * `adapter` is { instanceId, isInstanceAlive(instanceId),
+ * cancelOnInstance(instanceId, { jobId, userId }) }.
+ */
+function useAnalysisCluster(adapter) {
+  cluster = adapter;
+}
+
+async function isRunningElsewhere(job) {
+  if (!job || JOBS.has(job.id) || !ACTIVE_STATUSES.includes(job.status)) return false;
+  if (!job.instanceId || job.instanceId === cluster.instanceId) return false;
+  return cluster.isInstanceAlive(job.instanceId);
+}
+
+/** The instance running an unfinished job, when that is not this one. */
+async function findRemoteJobInstance(jobId) {
+  if (JOBS.has(jobId)) return null;
+  const job = await store.findAnalysisJob(jobId);
+  return (await isRunningElsewhere(job)) ? job.instanceId : null;
+}
+
+/** Runs at most once per STALE_SWEEP_INTERVAL_MS; callers in between share the last sweep. */
+function sweepStaleJobs() {
+  const now = Date.now();
+  if (!staleSweep || now - lastSweepAt >= STALE_SWEEP_INTERVAL_MS) {
+    lastSweepAt = now;
+    staleSweep = store.failStaleAnalysisJobs({ staleAfterMs: STALE_JOB_MS }).catch((err) => {
+      console.error('Failed to clean up stale analysis jobs', err?.message || err);
+    });
+  }
+  return staleSweep;
+}
+
+/**
+ * Queues a new analysis. With a `gameId` and no `pgn` the PGN is taken from
+ * the user's stored game. A signed-in user asking again for the same game
+ * and settings gets the existing job back (`reused: true`) instead of a new run.
+ * `clientId` (the user, or the address of an anonymous caller) limits how
+ * many unfinished jobs one client may have.
+ */
+async function createAnalysisJob({
+  userId = null,
+  clientId = userId,
+  gameId = null,
+  pgn,
+  timeoutMs,
+  ...options
+} = {}) {
+  await sweepStaleJobs();
+  const settings = normalizeSettings(options);
+  const settingsKey = JSON.stringify(settings);
+
+  if (userId && gameId) {
+    const existing = await store.findReusableAnalysisJob({ userId, gameId, settingsKey });
+    // An unfinished row no live instance is running was left behind by a restart; start over.
+    const active = existing && JOBS.get(existing.id);
+    if (active || existing?.status === 'completed' || await isRunningElsewhere(existing)) {
+      return { job: describeJob(active || existing), reused: true };
+    }
+  }
+
+  const resolvedPgn = await resolvePgn({ userId, gameId, pgn });
+  let totalPlies;
+  try {
+    const { verboseMoves } = stockfishService.parseAnalysisPgn(resolvedPgn, settings.chess960);
+    totalPlies = settings.maxPlies > 0 ? Math.min(settings.maxPlies, verboseMoves.length) : verboseMoves.length;
+  } catch (err) {
+    throw analysisError('INVALID_PGN', err.message);
+  }
+
+  checkCapacity(clientId);
+  const stored = await store.insertAnalysisJob({
+    id: uuidv4(),
+    userId,
+    gameId,
+    instanceId: cluster.instanceId,
+    settingsKey,
+    request: { pgn: resolvedPgn, settings, timeoutMs: toNumberOrUndefined(timeoutMs) ?? null },
+    totalPlies,
+  });
+  const job = {
+    ...stored,
+    clientId,
+    controller: new AbortController(),
+  };
+  JOBS.set(job.id, job);
+  keepJobsAlive();
+  queue.push(job);
+  publish(job);
+  pump();
+  return { job: describeJob(job), reused: false };
+}
+
+/** Jobs without an owner are reachable by anyone holding their id. */
+async function loadOwnedJob(jobId, userId) {
+  const job = JOBS.get(jobId) || await store.findAnalysisJob(jobId);
+  if (!job || (job.userId && job.userId !== userId)) {
+    throw analysisError('JOB_NOT_FOUND', 'Analysis job not found');
+  }
+  return job;
+}
+
+async function getAnalysisJob({ jobId, userId = null }) {
+  return describeJob(await loadOwnedJob(jobId, userId));
+}
+
+async function listAnalysisJobs({ userId, gameId, status, limit } = {}) {
+  const jobs = await store.listAnalysisJobsForUser(userId, { gameId, status, limit });
+  return jobs.map((job) => describeJob(JOBS.get(job.id) || job, { includeResult: false }));
+}
+
+/**
+ * Cancels a queued or running job, on whichever instance runs it. A running
+ * job stops before its next ply; the plies already evaluated are discarded.
+ */
+async function cancelAnalysisJob({ jobId, userId = null }) {
+  const job = await loadOwnedJob(jobId, userId);
+  if (!ACTIVE_STATUSES.includes(job.status)) {
+    throw analysisError('JOB_FINISHED', `Analysis job is already ${job.status}`);
+  }
+
+  const active = JOBS.get(job.id);
+  if (!active && await isRunningElsewhere(job)) {
+    return cluster.cancelOnInstance(job.instanceId, { jobId, userId });
+  }
+  if (!active) {
+    const cancelled = await store.updateAnalysisJob(job.id, { status: 'cancelled', finished: true });
+    if (!cancelled) {
+      throw analysisError('JOB_FINISHED', 'Analysis job has already finished');
+    }
+    return describeJob(cancelled);
+  }
+
+  const queuedIndex = queue.indexOf(active);
+  if (queuedIndex !== -1) {
+    queue.splice(queuedIndex, 1);
+    JOBS.delete(active.id);
+  }
+  active.status = 'cancelled';
+  active.finishedAt = new Date().toISOString();
+  active.controller.abort();
+  await persistUpdate(active, { status: 'cancelled', finished: true });
+  if (queuedIndex !== -1) publish(active);
+  return describeJob(active);
+}
+
+module.exports = {
+  analysisEvents,
+  describeJob,
+  createAnalysisJob,
+  getAnalysisJob,
+  listAnalysisJobs,
+  cancelAnalysisJob,
+  findRemoteJobInstance,
+  useAnalysisCluster,
+};
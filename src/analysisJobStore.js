@@ -0,0 +1,202 @@
+const { query } = require('./db');
+
+let schemaReady = null;
+
+function ensureAnalysisSchema() {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await query(
+        `CREATE TABLE IF NOT EXISTS analysis_jobs (
+          id TEXT PRIMARY KEY,
+          user_id TEXT,
+          game_id TEXT,
+          status TEXT NOT NULL,
+          instance_id TEXT,
+          settings_key TEXT NOT NULL,
+          request_json JSONB NOT NULL,
+          total_plies INTEGER NOT NULL DEFAULT 0,
+          analyzed_plies INTEGER NOT NULL DEFAULT 0,
+          result_json JSONB,
+          error TEXT,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          started_at TIMESTAMPTZ,
+          finished_at TIMESTAMPTZ,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`
+      );
+      await query(
+        'CREATE INDEX IF NOT EXISTS analysis_jobs_user_idx ON analysis_jobs (user_id, created_at)'
+      );
+      await query(
+        'CREATE INDEX IF NOT EXISTS analysis_jobs_game_idx ON analysis_jobs (user_id, game_id, settings_key)'
+      );
+    })().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function mapJobRow(row, { includeResult = true } = {}) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    gameId: row.game_id,
+    status: row.status,
+    instanceId: row.instance_id || null,
+    settingsKey: row.settings_key,
+    request: parseJson(row.request_json),
+    totalPlies: row.total_plies,
+    analyzedPlies: row.analyzed_plies,
+    result: includeResult ? parseJson(row.result_json) || null : undefined,
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+async function insertAnalysisJob({ id, userId, gameId, instanceId, settingsKey, request, totalPlies }) {
+  await ensureAnalysisSchema();
+  const result = await query(
+    `INSERT INTO analysis_jobs (id, user_id, game_id, instance_id, status, settings_key, request_json, total_plies)
+     VALUES ($1, $2, $3, $4, 'queued', $5, $6, $7)
+     RETURNING *`,
+    [id, userId || null, gameId || null, instanceId || null, settingsKey, JSON.stringify(request), totalPlies]
+  );
+  return mapJobRow(result.rows[0]);
+}
+
+/**
+ * Applies the given fields to a job that is still queued or running, so a
+ * late progress write can never resurrect a cancelled or finished job.
+ * Resolves to the updated job, or null when it had already finished.
+ */
+async function updateAnalysisJob(id, {
+  status,
+  analyzedPlies,
+  result,
+  error,
+  started = false,
+  finished = false,
+}) {
+  await ensureAnalysisSchema();
+  const updated = await query(
+    `UPDATE analysis_jobs
+     SET status = COALESCE($2, status),
+         analyzed_plies = COALESCE($3, analyzed_plies),
+         result_json = COALESCE($4, result_json),
+         error = COALESCE($5, error),
+         started_at = CASE WHEN $6 THEN NOW() ELSE started_at END,
+         finished_at = CASE WHEN $7 THEN NOW() ELSE finished_at END,
+         updated_at = NOW()
+     WHERE id = $1 AND status IN ('queued', 'running')
+     RETURNING *`,
+    [
+      id,
+      status || null,
+      analyzedPlies ?? null,
+      result ? JSON.stringify(result) : null,
+      error || null,
+      started,
+      finished,
+    ]
+  );
+  return mapJobRow(updated.rows[0]);
+}
+
+async function findAnalysisJob(id) {
+  if (!id) return null;
+  await ensureAnalysisSchema();
+  const result = await query('SELECT * FROM analysis_jobs WHERE id = $1 LIMIT 1', [id]);
+  return mapJobRow(result.rows[0]);
+}
+
+/** The newest job for the same game and settings that is finished or still on its way. */
+async function findReusableAnalysisJob({ userId, gameId, settingsKey }) {
+  if (!userId || !gameId) return null;
+  await ensureAnalysisSchema();
+  const result = await query(
+    `SELECT *
+     FROM analysis_jobs
+     WHERE user_id = $1 AND game_id = $2 AND settings_key = $3
+       AND status IN ('queued', 'running', 'completed')
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [userId, gameId, settingsKey]
+  );
+  return mapJobRow(result.rows[0]);
+}
+
+async function listAnalysisJobsForUser(userId, { gameId, status, limit = 50 } = {}) {
+  if (!userId) return [];
+  await ensureAnalysisSchema();
+  const conditions = ['user_id = $1'];
+  const params = [userId];
+  if (gameId) {
+    params.push(gameId);
+    conditions.push(`game_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  params.push(Math.max(1, Math.min(200, Number(limit) || 50)));
+  const result = await query(
+    `SELECT id, user_id, game_id, status, instance_id, settings_key, request_json, total_plies, analyzed_plies,
+            error, created_at, started_at, finished_at
+     FROM analysis_jobs
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY created_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows.map((row) => mapJobRow(row, { includeResult: false }));
+}
+
+/** Marks jobs as still held by a running process so the stale sweep leaves them alone. */
+async function touchAnalysisJobs(ids) {
+  if (!ids.length) return 0;
+  await ensureAnalysisSchema();
+  const result = await query(
+    `UPDATE analysis_jobs
+     SET updated_at = NOW()
+     WHERE id = ANY($1) AND status IN ('queued', 'running')`,
+    [ids]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Jobs only run in the process that created them, which keeps touching its
+ * queued and running jobs. Any job that has not been touched for
+ * `staleAfterMs` was left behind by a process that went away.
+ */
+async function failStaleAnalysisJobs({ staleAfterMs }) {
+  await ensureAnalysisSchema();
+  const result = await query(
+    `UPDATE analysis_jobs
+     SET status = 'failed', error = 'Analysis was interrupted', finished_at = NOW(), updated_at = NOW()
+     WHERE status IN ('queued', 'running') AND updated_at < $1
+     RETURNING id`,
+    [new Date(Date.now() - staleAfterMs).toISOString()]
+  );
+  return result.rows.length;
+}
+
+module.exports = {
+  ensureAnalysisSchema,
+  insertAnalysisJob,
+  updateAnalysisJob,
+  findAnalysisJob,
+  findReusableAnalysisJob,
+  listAnalysisJobsForUser,
+  touchAnalysisJobs,
+  failStaleAnalysisJobs,
+};
@@ -0,0 +1,36 @@
+const config = require('./config');
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a chat filter that masks whole-word matches of the given words.
+ * Any function with the same `(text, context) => { text, blocked, flagged }`
+ * contract can be passed to initOnlinePlayServer as `chatFilter` instead, e.g.
+ * to call out to an external moderation service.
+ */
+function createWordFilter(words = []) {
+  const cleaned = words
+    .map((word) => String(word || '').trim())
+    .filter(Boolean)
+    .map(escapeRegExp);
+  const pattern = cleaned.length ? new RegExp(`\\b(${cleaned.join('|')})\\b`, 'gi') : null;
+
+  return function filterChatMessage(text) {
+    if (!pattern) return { text, blocked: false, flagged: false };
+    let flagged = false;
+    const masked = text.replace(pattern, (match) => {
+      flagged = true;
+      return '*'.repeat(match.length);
+    });
+    return { text: masked, blocked: false, flagged };
+  };
+}
+
+const defaultChatFilter = createWordFilter(config.chatBannedWords);
+
+module.exports = {
+  createWordFilter,
+  defaultChatFilter,
+};
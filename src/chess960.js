@@ -0,0 +1,361 @@
+/*
+ * Chess960 on top of chess.js, which only knows standard castling. The wrapped
+ * chess.js instance always holds the position with its castling field cleared;
+ * castling rights are tracked here by rook file and castling moves are generated
+ * and applied by hand. Everything else (move generation, SAN, check detection)
+ * is delegated.
+ *
+ * Castling moves use the UCI_Chess960 convention: the king "captures" its own
+ * rook (e.g. e1h1), which is also what Stockfish emits in Chess960 mode.
+ */
+
+const { Chess } = require('chess.js');
+
+const FILES = 'abcdefgh';
+const STANDARD_POSITION_NUMBER = 518;
+// Knight placements among the five squares left after bishops and queen.
+const KNIGHT_TABLE = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]];
+const CASTLING_SAN = { k: 'O-O', q: 'O-O-O' };
+
+/** Scharnagl numbering: 0-959, where 518 is the standard setup. */
+function chess960StartFen(positionNumber) {
+  const n = Number(positionNumber);
+  if (!Number.isInteger(n) || n < 0 || n > 959) {
+    throw new Error('Chess960 position must be an integer between 0 and 959');
+  }
+  const rank = new Array(8).fill(null);
+  let rest = n;
+  rank[(rest % 4) * 2 + 1] = 'b';
+  rest = Math.floor(rest / 4);
+  rank[(rest % 4) * 2] = 'b';
+  rest = Math.floor(rest / 4);
+  const placeOnEmpty = (index, piece) => {
+    const empty = rank.map((square, i) => (square ? null : i)).filter((i) => i !== null);
+    rank[empty[index]] = piece;
+  };
+  placeOnEmpty(rest % 6, 'q');
+  rest = Math.floor(rest / 6);
+  const [firstKnight, secondKnight] = KNIGHT_TABLE[rest];
+  placeOnEmpty(secondKnight, 'n');
+  placeOnEmpty(firstKnight, 'n');
+  placeOnEmpty(0, 'r');
+  placeOnEmpty(0, 'k');
+  placeOnEmpty(0, 'r');
+
+  const black = rank.join('');
+  return `${black}/pppppppp/8/8/8/8/PPPPPPPP/${black.toUpperCase()} w KQkq - 0 1`;
+}
+
+function randomChess960Position() {
+  return Math.floor(Math.random() * 960);
+}
+
+function backRank(color) {
+  return color === 'w' ? '1' : '8';
+}
+
+function stripCastling(fen) {
+  const parts = fen.trim().split(/\s+/);
+  parts[2] = '-';
+  return parts.join(' ');
+}
+
+function findKingFile(chess, color) {
+  const [square] = chess.findPiece({ type: 'k', color });
+  return square && square[1] === backRank(color) ? square[0] : null;
+}
+
+function rookFilesOnBackRank(chess, color) {
+  return FILES.split('').filter((file) => {
+    const piece = chess.get(`${file}${backRank(color)}`);
+    return piece && piece.type === 'r' && piece.color === color;
+  });
+}
+
+/** Reads X-FEN (KQkq) or Shredder-FEN (HAha) castling fields. */
+function parseCastlingField(field, chess) {
+  const rights = { w: { k: null, q: null }, b: { k: null, q: null } };
+  if (!field || field === '-') return rights;
+  for (const char of field) {
+    const color = char === char.toUpperCase() ? 'w' : 'b';
+    const kingFile = findKingFile(chess, color);
+    if (!kingFile) continue;
+    const rooks = rookFilesOnBackRank(chess, color);
+    const symbol = char.toLowerCase();
+    let file = null;
+    if (symbol === 'k') {
+      file = rooks.filter((f) => f > kingFile).pop() || null;
+    } else if (symbol === 'q') {
+      file = rooks.find((f) => f < kingFile) || null;
+    } else if (FILES.includes(symbol) && rooks.includes(symbol)) {
+      file = symbol;
+    }
+    if (!file || file === kingFile) continue;
+    rights[color][file > kingFile ? 'k' : 'q'] = file;
+  }
+  return rights;
+}
+
+function createChess960Game(fen = chess960StartFen(STANDARD_POSITION_NUMBER)) {
+  let chess = null;
+  let castling = null;
+  let startFen = null;
+  let history = [];
+  let headers = {};
+
+  const setPosition = (positionFen) => {
+    const next = new Chess(stripCastling(positionFen));
+    castling = parseCastlingField(positionFen.trim().split(/\s+/)[2], next);
+    chess = next;
+  };
+
+  const castlingField = () => {
+    let field = '';
+    ['w', 'b'].forEach((color) => {
+      const rooks = rookFilesOnBackRank(chess, color);
+      ['k', 'q'].forEach((side) => {
+        const file = castling[color][side];
+        if (!file) return;
+        const outermost = side === 'k' ? rooks[rooks.length - 1] : rooks[0];
+        let symbol = file === outermost ? side : file;
+        if (color === 'w') symbol = symbol.toUpperCase();
+        field += symbol;
+      });
+    });
+    return field || '-';
+  };
+
+  const fenString = () => {
+    const parts = chess.fen().split(' ');
+    parts[2] = castlingField();
+    return parts.join(' ');
+  };
+
+  const describeCastling = (side) => {
+    const color = chess.turn();
+    const opponent = color === 'w' ? 'b' : 'w';
+    const rookFile = castling[color][side];
+    const kingFile = findKingFile(chess, color);
+    if (!rookFile || !kingFile || chess.isCheck()) return null;
+
+    const rank = backRank(color);
+    const rookSquare = `${rookFile}${rank}`;
+    const kingSquare = `${kingFile}${rank}`;
+    const rook = chess.get(rookSquare);
+    if (!rook || rook.type !== 'r' || rook.color !== color) return null;
+    const kingTarget = `${side === 'k' ? 'g' : 'c'}${rank}`;
+    const rookTarget = `${side === 'k' ? 'f' : 'd'}${rank}`;
+
+    const spanned = [kingFile, rookFile, kingTarget[0], rookTarget[0]].map((f) => FILES.indexOf(f));
+    for (let i = Math.min(...spanned); i <= Math.max(...spanned); i += 1) {
+      const square = `${FILES[i]}${rank}`;
+      if (square !== kingSquare && square !== rookSquare && chess.get(square)) return null;
+    }
+    const kingStep = Math.sign(FILES.indexOf(kingTarget[0]) - FILES.indexOf(kingFile));
+    for (let i = FILES.indexOf(kingFile); ; i += kingStep) {
+      if (chess.isAttacked(`${FILES[i]}${rank}`, opponent)) return null;
+      if (kingStep === 0 || FILES[i] === kingTarget[0]) break;
+    }
+
+    const next = new Chess(chess.fen());
+    next.remove(kingSquare);
+    next.remove(rookSquare);
+    next.put({ type: 'k', color }, kingTarget);
+    next.put({ type: 'r', color }, rookTarget);
+    const [, , , , halfmoves, fullmoves] = chess.fen().split(' ');
+    const nextFullmoves = Number(fullmoves) + (color === 'b' ? 1 : 0);
+    const afterFen = `${next.fen().split(' ')[0]} ${opponent} - - ${Number(halfmoves) + 1} ${nextFullmoves}`;
+    const after = new Chess(afterFen, { skipValidation: true });
+    // The rook may have been shielding the king's target square.
+    if (after.isAttacked(kingTarget, opponent)) return null;
+
+    let suffix = '';
+    if (after.isCheckmate()) suffix = '#';
+    else if (after.isCheck()) suffix = '+';
+    return {
+      color,
+      from: kingSquare,
+      to: rookSquare,
+      piece: 'k',
+      flags: side,
+      san: `${CASTLING_SAN[side]}${suffix}`,
+      lan: `${kingSquare}${rookSquare}`,
+      side,
+      kingTarget,
+      afterFen,
+    };
+  };
+
+  const legalCastlingMoves = () => ['k', 'q'].map(describeCastling).filter(Boolean);
+
+  const updateRights = (move) => {
+    const own = castling[move.color];
+    if (move.piece === 'k') {
+      own.k = null;
+      own.q = null;
+    }
+    ['w', 'b'].forEach((color) => {
+      ['k', 'q'].forEach((side) => {
+        const square = castling[color][side] && `${castling[color][side]}${backRank(color)}`;
+        if (square && (move.from === square || move.to === square)) {
+          castling[color][side] = null;
+        }
+      });
+    });
+  };
+
+  const findCastling = (input) => {
+    const candidates = legalCastlingMoves();
+    if (typeof input === 'string') {
+      const normalized = input.replace(/0/g, 'O').replace(/[+#!?]+$/, '');
+      return candidates.find((move) => CASTLING_SAN[move.side] === normalized) || null;
+    }
+    if (!input || typeof input !== 'object') return null;
+    const byRook = candidates.find((move) => move.from === input.from && move.to === input.to);
+    if (byRook) return byRook;
+    // Also accept the standard king-destination notation when it is not
+    // already an ordinary king move.
+    const ordinary = chess.moves({ square: input.from, verbose: true }).some((move) => move.to === input.to);
+    if (ordinary) return null;
+    return candidates.find((move) => move.from === input.from && move.kingTarget === input.to) || null;
+  };
+
+  const toRecord = (move, before, after) => ({
+    color: move.color,
+    from: move.from,
+    to: move.to,
+    piece: move.piece,
+    captured: move.captured,
+    promotion: move.promotion,
+    flags: move.flags,
+    san: move.san,
+    lan: move.lan,
+    before,
+    after,
+  });
+
+  const game = {
+    load(positionFen) {
+      setPosition(positionFen);
+      startFen = fenString();
+      history = [];
+    },
+
+    reset() {
+      game.load(startFen);
+    },
+
+    fen: () => fenString(),
+
+    turn: () => chess.turn(),
+    board: () => chess.board(),
+    get: (square) => chess.get(square),
+    ascii: () => chess.ascii(),
+    isCheck: () => chess.isCheck(),
+    inCheck: () => chess.isCheck(),
+    isCheckmate: () => chess.isCheckmate(),
+    isInsufficientMaterial: () => chess.isInsufficientMaterial(),
+    isStalemate: () => !chess.isCheck() && game.moves().length === 0,
+    isGameOver: () => game.isCheckmate() || game.isStalemate() || game.isInsufficientMaterial(),
+
+    moves({ verbose = false } = {}) {
+      const fenBefore = fenString();
+      const ordinary = chess.moves({ verbose: true }).map((move) => toRecord(move, fenBefore, null));
+      const castles = legalCastlingMoves().map((move) => toRecord(move, fenBefore, null));
+      const all = ordinary.concat(castles);
+      return verbose ? all : all.map((move) => move.san);
+    },
+
+    move(input) {
+      const before = fenString();
+      const castle = findCastling(input);
+      let record;
+      if (castle) {
+        updateRights(castle);
+        const rights = castling;
+        setPosition(castle.afterFen);
+        castling = rights;
+        record = toRecord(castle, before, fenString());
+      } else {
+        const applied = chess.move(input);
+        updateRights(applied);
+        record = toRecord(applied, before, fenString());
+      }
+      history.push(record);
+      return { ...record };
+    },
+
+    undo() {
+      const last = history.pop();
+      if (!last) return null;
+      setPosition(last.before);
+      return { ...last };
+    },
+
+    history({ verbose = false } = {}) {
+      return verbose ? history.map((move) => ({ ...move })) : history.map((move) => move.san);
+    },
+
+    setHeader(key, value) {
+      headers[key] = String(value);
+      return { ...headers };
+    },
+
+    getHeaders: () => ({ ...headers, Variant: 'Chess960', SetUp: '1', FEN: startFen }),
+
+    pgn() {
+      const tags = game.getHeaders();
+      const lines = Object.entries(tags).map(([key, value]) => `[${key} "${value}"]`);
+      const [, startTurn, , , , startMove] = startFen.split(' ');
+      let moveNumber = Number(startMove) || 1;
+      const tokens = [];
+      history.forEach((move, index) => {
+        if (move.color === 'w') {
+          tokens.push(`${moveNumber}. ${move.san}`);
+        } else {
+          if (index === 0 && startTurn === 'b') tokens.push(`${moveNumber}...`);
+          tokens.push(move.san);
+          moveNumber += 1;
+        }
+      });
+      if (tags.Result) tokens.push(tags.Result);
+      return `${lines.join('\n')}\n\n${tokens.join(' ')}`;
+    },
+
+    loadPgn(pgn) {
+      const tags = {};
+      const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm;
+      let match;
+      while ((match = tagPattern.exec(pgn)) !== null) {
+        tags[match[1]] = match[2];
+      }
+      game.load(tags.FEN || chess960StartFen(STANDARD_POSITION_NUMBER));
+      headers = {};
+      Object.entries(tags)
+        .filter(([key]) => !['Variant', 'SetUp', 'FEN'].includes(key))
+        .forEach(([key, value]) => { headers[key] = value; });
+
+      let movetext = pgn.replace(tagPattern, ' ')
+        .replace(/\{[^}]*\}/g, ' ')
+        .replace(/;[^\n]*/g, ' ')
+        .replace(/\$\d+/g, ' ');
+      while (/\([^()]*\)/.test(movetext)) {
+        movetext = movetext.replace(/\([^()]*\)/g, ' ');
+      }
+      movetext.split(/\s+/)
+        .map((token) => token.replace(/^\d+\.(\.\.)?/, ''))
+        .filter((token) => token && !['1-0', '0-1', '1/2-1/2', '*'].includes(token))
+        .forEach((token) => game.move(token));
+    },
+  };
+
+  game.load(fen);
+  return game;
+}
+
+module.exports = {
+  STANDARD_POSITION_NUMBER,
+  chess960StartFen,
+  randomChess960Position,
+  createChess960Game,
+};
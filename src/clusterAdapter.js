@@ -0,0 +1,293 @@
+const { EventEmitter } = require('events');
+const { Client } = require('pg');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('./db');
+
+// Postgres caps NOTIFY payloads at 8000 bytes; bigger envelopes go through a table.
+const MAX_NOTIFY_BYTES = 7000;
+const HEARTBEAT_INTERVAL_MS = 10_000;
+// An instance that has not checked in for this long is treated as gone.
+const INSTANCE_STALE_MS = 30_000;
+const LOBBY_OWNERS = { table: 'online_lobby_owners', column: 'game_id' };
+const TOURNAMENT_OWNERS = { table: 'online_tournament_owners', column: 'tournament_id' };
+
+/*
+ * Cluster adapters let several backend instances share online play. Each lobby
+ * is owned by the instance that created it; other instances look the owner up
+ * and exchange envelopes with it. Every adapter exposes:
+ *
+ *   instanceId                      unique id of this instance
+ *   start(onEnvelope)               begin receiving envelopes addressed to us
+ *   send(instanceId, envelope)      deliver an envelope to another instance
+ *   claimLobby(gameId)              record this instance as the lobby owner unless a live
+ *                                   instance owns it; resolves to true when we own it
+ *   releaseLobby(gameId)            forget the lobby owner
+ *   getLobbyOwner(gameId)           owning instance id, or null (also when the owner is gone)
+ *   claimTournament(tournamentId)   the same three operations for running tournaments,
+ *   releaseTournament(tournamentId) which are driven by a single instance too
+ *   getTournamentOwner(tournamentId)
+ *   isInstanceAlive(instanceId)     whether an instance is still checking in
+ *   close()                         stop receiving and free resources
+ */
+
+const inProcessBus = new EventEmitter();
+inProcessBus.setMaxListeners(0);
+const inProcessOwners = { lobby: new Map(), tournament: new Map() }; // kind -> id -> instanceId
+const inProcessInstances = new Set();
+
+/**
+ * Default adapter. Instances in the same Node process (e.g. in tests) can
+ * still talk to each other through the shared module-level bus.
+ */
+function createInProcessAdapter({ instanceId = uuidv4() } = {}) {
+  let listener = null;
+
+  function claim(kind, id) {
+    const owner = inProcessOwners[kind].get(id);
+    if (owner && owner !== instanceId) return false;
+    inProcessOwners[kind].set(id, instanceId);
+    return true;
+  }
+
+  function release(kind, id) {
+    if (inProcessOwners[kind].get(id) === instanceId) inProcessOwners[kind].delete(id);
+  }
+
+  return {
+    instanceId,
+    async start(onEnvelope) {
+      listener = (envelope) => onEnvelope(envelope);
+      inProcessBus.on(instanceId, listener);
+      inProcessInstances.add(instanceId);
+    },
+    async send(targetInstanceId, envelope) {
+      // Deliver asynchronously, like a real transport would.
+      setImmediate(() => inProcessBus.emit(targetInstanceId, envelope));
+    },
+    async claimLobby(gameId) {
+      return claim('lobby', gameId);
+    },
+    async releaseLobby(gameId) {
+      release('lobby', gameId);
+    },
+    async getLobbyOwner(gameId) {
+      return inProcessOwners.lobby.get(gameId) || null;
+    },
+    async claimTournament(tournamentId) {
+      return claim('tournament', tournamentId);
+    },
+    async releaseTournament(tournamentId) {
+      release('tournament', tournamentId);
+    },
+    async getTournamentOwner(tournamentId) {
+      return inProcessOwners.tournament.get(tournamentId) || null;
+    },
+    async isInstanceAlive(otherInstanceId) {
+      return otherInstanceId === instanceId || inProcessInstances.has(otherInstanceId);
+    },
+    async close() {
+      if (listener) inProcessBus.off(instanceId, listener);
+      listener = null;
+      inProcessInstances.delete(instanceId);
+      Object.values(inProcessOwners).forEach((owners) => {
+        owners.forEach((owner, id) => {
+          if (owner === instanceId) owners.delete(id);
+        });
+      });
+    },
+  };
+}
+
+function toChannelName(instanceId) {
+  return `chessmaster_${String(instanceId).toLowerCase().replace(/[^a-z0-9_]/g, '_')}`.slice(0, 63);
+}
+
+/**
+ * LISTEN/NOTIFY adapter. Each instance listens on its own channel through a
+ * dedicated connection and publishes through another, so envelopes sent by one
+ * instance arrive in the order they were sent. Lobby ownership lives in the
+ * `online_lobby_owners` table; instances record a heartbeat in
+ * `online_instances` so lobbies of an instance that crashed stop being routed to it.
+ */
+function createPostgresAdapter({
+  instanceId = uuidv4(),
+  connectionString,
+  ssl,
+  logger = console,
+} = {}) {
+  let listener = null;
+  let publisher = null;
+  let sendChain = Promise.resolve();
+  let receiveChain = Promise.resolve();
+  let schemaReady = null;
+  let heartbeatTimer = null;
+
+  function ensureSchema() {
+    if (!schemaReady) {
+      schemaReady = (async () => {
+        await query(
+          `CREATE TABLE IF NOT EXISTS online_lobby_owners (
+            game_id TEXT PRIMARY KEY,
+            instance_id TEXT NOT NULL,
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )`
+        );
+        await query(
+          `CREATE TABLE IF NOT EXISTS online_tournament_owners (
+            tournament_id TEXT PRIMARY KEY,
+            instance_id TEXT NOT NULL,
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )`
+        );
+        await query(
+          `CREATE TABLE IF NOT EXISTS online_instances (
+            instance_id TEXT PRIMARY KEY,
+            last_seen TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )`
+        );
+        await query(
+          `CREATE TABLE IF NOT EXISTS online_relay (
+            id BIGSERIAL PRIMARY KEY,
+            payload TEXT NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )`
+        );
+      })().catch((err) => {
+        schemaReady = null;
+        throw err;
+      });
+    }
+    return schemaReady;
+  }
+
+  async function heartbeat() {
+    await query(
+      `INSERT INTO online_instances (instance_id, last_seen)
+       VALUES ($1, NOW())
+       ON CONFLICT (instance_id) DO UPDATE SET last_seen = NOW()`,
+      [instanceId]
+    );
+  }
+
+  // Only an entity without an owner, or whose owner stopped checking in, changes hands.
+  async function claimOwnership({ table, column }, id) {
+    await ensureSchema();
+    const result = await query(
+      `INSERT INTO ${table} (${column}, instance_id, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (${column}) DO UPDATE SET instance_id = EXCLUDED.instance_id, updated_at = NOW()
+       WHERE ${table}.instance_id = EXCLUDED.instance_id
+         OR NOT EXISTS (
+           SELECT 1
+           FROM online_instances i
+           WHERE i.instance_id = ${table}.instance_id
+             AND i.last_seen > NOW() - ($3 * INTERVAL '1 millisecond')
+         )
+       RETURNING ${column}`,
+      [id, instanceId, INSTANCE_STALE_MS]
+    );
+    return result.rows.length > 0;
+  }
+
+  async function releaseOwnership({ table, column }, id) {
+    await ensureSchema();
+    await query(`DELETE FROM ${table} WHERE ${column} = $1 AND instance_id = $2`, [id, instanceId]);
+  }
+
+  async function getOwner({ table, column }, id) {
+    await ensureSchema();
+    const result = await query(
+      `SELECT o.instance_id, i.last_seen > NOW() - ($2 * INTERVAL '1 millisecond') AS alive
+       FROM ${table} o
+       LEFT JOIN online_instances i ON i.instance_id = o.instance_id
+       WHERE o.${column} = $1`,
+      [id, INSTANCE_STALE_MS]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    if (row.alive || row.instance_id === instanceId) return row.instance_id;
+    // The owner stopped checking in; drop the row so nothing is routed to it any more.
+    await query(`DELETE FROM ${table} WHERE ${column} = $1 AND instance_id = $2`, [id, row.instance_id]);
+    return null;
+  }
+
+  async function readNotification(rawPayload) {
+    const parsed = JSON.parse(rawPayload);
+    if (parsed.relayId == null) return parsed;
+    const result = await query('DELETE FROM online_relay WHERE id = $1 RETURNING payload', [parsed.relayId]);
+    return result.rows[0] ? JSON.parse(result.rows[0].payload) : null;
+  }
+
+  return {
+    instanceId,
+    async start(onEnvelope) {
+      await ensureSchema();
+      publisher = new Client({ connectionString, ssl });
+      listener = new Client({ connectionString, ssl });
+      await Promise.all([publisher.connect(), listener.connect()]);
+      listener.on('notification', (message) => {
+        receiveChain = receiveChain
+          .then(() => readNotification(message.payload))
+          .then((envelope) => envelope && onEnvelope(envelope))
+          .catch((err) => logger.error('[cluster] Failed to handle notification', err?.message || err));
+      });
+      listener.on('error', (err) => logger.error('[cluster] Listener connection error', err?.message || err));
+      await listener.query(`LISTEN ${toChannelName(instanceId)}`);
+      await heartbeat();
+      heartbeatTimer = setInterval(() => {
+        heartbeat().catch((err) => logger.error('[cluster] Heartbeat failed', err?.message || err));
+      }, HEARTBEAT_INTERVAL_MS);
+      heartbeatTimer.unref?.();
+    },
+    send(targetInstanceId, envelope) {
+      const channel = toChannelName(targetInstanceId);
+      const payload = JSON.stringify(envelope);
+      sendChain = sendChain.catch(() => {}).then(async () => {
+        if (Buffer.byteLength(payload) <= MAX_NOTIFY_BYTES) {
+          await publisher.query('SELECT pg_notify($1, $2)', [channel, payload]);
+          return;
+        }
+        const inserted = await publisher.query(
+          'INSERT INTO online_relay (payload) VALUES ($1) RETURNING id',
+          [payload]
+        );
+        await publisher.query('SELECT pg_notify($1, $2)', [
+          channel,
+          JSON.stringify({ relayId: inserted.rows[0].id }),
+        ]);
+      });
+      return sendChain;
+    },
+    claimLobby: (gameId) => claimOwnership(LOBBY_OWNERS, gameId),
+    releaseLobby: (gameId) => releaseOwnership(LOBBY_OWNERS, gameId),
+    getLobbyOwner: (gameId) => getOwner(LOBBY_OWNERS, gameId),
+    claimTournament: (tournamentId) => claimOwnership(TOURNAMENT_OWNERS, tournamentId),
+    releaseTournament: (tournamentId) => releaseOwnership(TOURNAMENT_OWNERS, tournamentId),
+    getTournamentOwner: (tournamentId) => getOwner(TOURNAMENT_OWNERS, tournamentId),
+    async isInstanceAlive(otherInstanceId) {
+      if (otherInstanceId === instanceId) return true;
+      await ensureSchema();
+      const result = await query(
+        `SELECT 1
+         FROM online_instances
+         WHERE instance_id = $1 AND last_seen > NOW() - ($2 * INTERVAL '1 millisecond')`,
+        [otherInstanceId, INSTANCE_STALE_MS]
+      );
+      return result.rows.length > 0;
+    },
+    async close() {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+      await query('DELETE FROM online_instances WHERE instance_id = $1', [instanceId]).catch(() => {});
+      await Promise.all([listener, publisher].filter(Boolean).map((client) => client.end().catch(() => {})));
+      listener = null;
+      publisher = null;
+    },
+  };
+}
+
+module.exports = {
+  INSTANCE_STALE_MS,
+  createInProcessAdapter,
+  createPostgresAdapter,
+};
@@ -50,14 +50,35 @@ const config = {
   stockfishPath,
   stockfishPathRaw: process.env.STOCKFISH_PATH || '',
   stockfishCandidates,
+  stockfishPoolSize: Number(process.env.STOCKFISH_POOL_SIZE) || 2,
+  stockfishMaxQueue: Number(process.env.STOCKFISH_MAX_QUEUE) || 64,
+  stockfishMaxSessions: Number(process.env.STOCKFISH_MAX_SESSIONS) || 4,
+  analysisConcurrency: Number(process.env.ANALYSIS_CONCURRENCY) || 1,
+  analysisMaxQueue: Number(process.env.ANALYSIS_MAX_QUEUE) || 50,
+  analysisMaxJobsPerClient: Number(process.env.ANALYSIS_MAX_JOBS_PER_CLIENT) || 3,
   dbPath: process.env.DB_PATH || path.resolve(process.cwd(), 'data', 'chessmaster.db'),
   dbUrl: process.env.DATABASE_URL || process.env.DB_URL || '',
   dbSsl:
     process.env.DB_SSL?.toLowerCase() === 'require'
       ? { rejectUnauthorized: process.env.DB_SSL_REJECT_UNAUTHORIZED !== 'false' }
       : undefined,
+  persistLobbies: process.env.PERSIST_LOBBIES
+    ? process.env.PERSIST_LOBBIES.toLowerCase() !== 'false'
+    : Boolean(process.env.DATABASE_URL || process.env.DB_URL),
+  persistEvaluations: process.env.PERSIST_EVALUATIONS
+    ? process.env.PERSIST_EVALUATIONS.toLowerCase() !== 'false'
+    : Boolean(process.env.DATABASE_URL || process.env.DB_URL),
+  evaluationCacheSize: Number(process.env.EVAL_CACHE_SIZE) || 5000,
+  clusterAdapter: (process.env.CLUSTER_ADAPTER || 'memory').toLowerCase(),
+  instanceId: process.env.INSTANCE_ID || '',
+  correspondenceSweepIntervalMs: Number(process.env.CORRESPONDENCE_SWEEP_MS) || 60_000,
+  tournamentTickIntervalMs: Number(process.env.TOURNAMENT_TICK_MS) || 2_000,
   jwtSecret: process.env.JWT_SECRET || 'dev-secret-change-me',
   jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  chatBannedWords: (process.env.CHAT_BANNED_WORDS || '')
+    .split(',')
+    .map((word) => word.trim())
+    .filter(Boolean),
 };
 
 module.exports = config;
@@ -0,0 +1,334 @@
+/*
+ * Correspondence games: days-per-move games that live in Postgres rather than
+ * in the online lobby map, so players can be offline between moves. Moves
+ * arrive over REST or the online-play socket; every change is emitted on
+ * `correspondenceEvents` so connected players can be notified.
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const store = require('./correspondenceStore');
+const { recordCompletedGame } = require('./gameStore');
+const { findUserById } = require('./userService');
+const { parseVariant, createVariantGame } = require('./variants');
+const {
+  getOpponentColor,
+  getTurnColor,
+  hasMatingMaterial,
+  getWinnerColor,
+  uciToMoveInput,
+  determineGameOutcome,
+} = require('./gameRules');
+
+const DAYS_PER_MOVE_OPTIONS = [1, 2, 3, 5, 7, 10, 14];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SWEEP_INTERVAL_MS = 60_000;
+
+const correspondenceEvents = new EventEmitter();
+
+function correspondenceError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function getDeadline(daysPerMove, from = Date.now()) {
+  return new Date(from + daysPerMove * DAY_MS).toISOString();
+}
+
+function getPlayerColor(game, userId) {
+  if (userId && game.white.userId === userId) return 'white';
+  if (userId && game.black.userId === userId) return 'black';
+  return null;
+}
+
+function replayGame(game) {
+  const chess = createVariantGame(game.variant);
+  game.moves.forEach((move) => chess.move(uciToMoveInput(move.uci)));
+  return chess;
+}
+
+async function loadGame(gameId) {
+  const game = await store.findCorrespondenceGame(gameId);
+  if (!game) {
+    throw correspondenceError('GAME_NOT_FOUND', 'Correspondence game not found');
+  }
+  return game;
+}
+
+async function loadSeatedUser(userId) {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw correspondenceError('USER_NOT_FOUND', 'User not found');
+  }
+  return { userId: user.id, name: user.username };
+}
+
+function buildPgn(game) {
+  const chess = createVariantGame(game.variant);
+  chess.setHeader('Event', 'Correspondence game');
+  chess.setHeader('Site', 'ChessMaster');
+  chess.setHeader('White', game.white.name || '?');
+  chess.setHeader('Black', game.black.name || '?');
+  chess.setHeader('Result', game.result || '*');
+  chess.setHeader('TimeControl', `1/${game.daysPerMove * 86400}`);
+  chess.setHeader('Termination', game.reason || 'unknown');
+  game.moves.forEach((move) => chess.move(uciToMoveInput(move.uci)));
+  return chess.pgn();
+}
+
+function persistFinishedGame(game) {
+  let pgn = null;
+  try {
+    pgn = buildPgn(game);
+  } catch (err) {
+    console.warn('Failed to build correspondence PGN', game.id, err?.message || err);
+  }
+  const playersJson = JSON.stringify({
+    white: { color: 'white', ...game.white },
+    black: { color: 'black', ...game.black },
+  });
+  const movesJson = JSON.stringify(game.moves);
+  const seats = [['white', game.white], ['black', game.black]].filter(([, seat]) => seat.userId);
+  return Promise.all(seats.map(([color, seat]) => recordCompletedGame({
+    userId: seat.userId,
+    playersJson,
+    movesJson,
+    result: game.result,
+    reason: game.reason,
+    metadataJson: JSON.stringify({
+      source: 'correspondence',
+      gameId: game.id,
+      color,
+      rated: false,
+      daysPerMove: game.daysPerMove,
+      variant: game.variant,
+      pgn,
+    }),
+    startedAt: game.startedAt || game.createdAt,
+    finishedAt: game.completedAt,
+    winner: getWinnerColor(game.result),
+  }))).catch((err) => {
+    console.error('Failed to persist correspondence game', game.id, err?.message || err);
+  });
+}
+
+function publish(game) {
+  if (game.status === 'completed') {
+    persistFinishedGame(game);
+  }
+  correspondenceEvents.emit('update', game);
+  return game;
+}
+
+async function createCorrespondenceGame({ userId, daysPerMove, color, variant, position, fen } = {}) {
+  const days = Number(daysPerMove);
+  if (!DAYS_PER_MOVE_OPTIONS.includes(days)) {
+    throw correspondenceError(
+      'INVALID_DAYS_PER_MOVE',
+      `daysPerMove must be one of ${DAYS_PER_MOVE_OPTIONS.join(', ')}`
+    );
+  }
+  let parsedVariant;
+  try {
+    parsedVariant = parseVariant({ variant, position, fen });
+  } catch (err) {
+    throw correspondenceError('INVALID_VARIANT', err.message);
+  }
+
+  const creator = await loadSeatedUser(userId);
+  const creatorColor = ['white', 'black'].includes(color)
+    ? color
+    : (Math.random() < 0.5 ? 'white' : 'black');
+  const empty = { userId: null, name: null };
+  const chess = createVariantGame(parsedVariant);
+
+  const game = await store.insertCorrespondenceGame({
+    id: uuidv4(),
+    createdBy: creator.userId,
+    white: creatorColor === 'white' ? creator : empty,
+    black: creatorColor === 'black' ? creator : empty,
+    daysPerMove: days,
+    variant: parsedVariant,
+    fen: chess.fen(),
+    turn: getTurnColor(chess),
+  });
+  return publish(game);
+}
+
+async function joinCorrespondenceGame({ gameId, userId }) {
+  const game = await loadGame(gameId);
+  if (game.status !== 'waiting') {
+    throw correspondenceError('GAME_NOT_JOINABLE', 'Game has already started');
+  }
+  if (game.createdBy === userId) {
+    throw correspondenceError('SAME_ACCOUNT', 'You cannot join your own game');
+  }
+
+  const joiner = await loadSeatedUser(userId);
+  const white = game.white.userId ? game.white : joiner;
+  const black = game.black.userId ? game.black : joiner;
+  const started = await store.startCorrespondenceGame({
+    id: game.id,
+    white,
+    black,
+    deadlineAt: getDeadline(game.daysPerMove),
+  });
+  if (!started) {
+    throw correspondenceError('GAME_NOT_JOINABLE', 'Game has already started');
+  }
+  return publish(started);
+}
+
+async function cancelCorrespondenceGame({ gameId, userId }) {
+  const cancelled = await store.deleteWaitingCorrespondenceGame({ id: gameId, userId });
+  if (!cancelled) {
+    throw correspondenceError('GAME_NOT_CANCELLABLE', 'Only the creator can cancel a game that has not started');
+  }
+  return publish({ ...cancelled, status: 'cancelled' });
+}
+
+/** Applies the deadline rule: the side to move loses unless the other side cannot mate. */
+async function adjudicateTimeout(game) {
+  const chess = replayGame(game);
+  const winner = getOpponentColor(game.turn);
+  const { result, reason } = hasMatingMaterial(chess, winner)
+    ? { result: winner === 'white' ? '1-0' : '0-1', reason: 'timeout' }
+    : { result: '1/2-1/2', reason: 'timeout_vs_insufficient_material' };
+  const completed = await store.completeCorrespondenceGame({
+    id: game.id,
+    result,
+    reason,
+    onlyIfExpired: true,
+  });
+  return completed ? publish(completed) : null;
+}
+
+async function playCorrespondenceMove({ gameId, userId, uci }) {
+  if (typeof uci !== 'string' || !/^[a-h][1-8][a-h][1-8][qrbn]?$/.test(uci)) {
+    throw correspondenceError('INVALID_PAYLOAD', 'Move must be in UCI notation');
+  }
+  const game = await loadGame(gameId);
+  const color = getPlayerColor(game, userId);
+  if (!color) {
+    throw correspondenceError('NOT_A_PLAYER', 'You are not playing in this game');
+  }
+  if (game.status !== 'active') {
+    throw correspondenceError('GAME_NOT_ACTIVE', 'Game is not active');
+  }
+  if (game.turn !== color) {
+    throw correspondenceError('WRONG_TURN', 'Not your turn');
+  }
+  if (new Date(game.deadlineAt).getTime() <= Date.now()) {
+    await adjudicateTimeout(game);
+    throw correspondenceError('TIMEOUT', 'Your time to move ran out');
+  }
+
+  const chess = replayGame(game);
+  try {
+    chess.move(uciToMoveInput(uci));
+  } catch (err) {
+    throw correspondenceError('ILLEGAL_MOVE', 'Illegal move');
+  }
+
+  const now = Date.now();
+  const outcome = determineGameOutcome(chess, color);
+  const saved = await store.saveCorrespondenceMove({
+    id: game.id,
+    expectedPly: game.ply,
+    moves: game.moves.concat({
+      userId,
+      uci,
+      fenAfter: chess.fen(),
+      timestamp: now,
+    }),
+    fen: chess.fen(),
+    turn: getTurnColor(chess),
+    deadlineAt: outcome ? null : getDeadline(game.daysPerMove, now),
+    result: outcome ? outcome.result : null,
+    reason: outcome ? outcome.reason : null,
+  });
+  if (!saved) {
+    throw correspondenceError('CONFLICT', 'Game changed while the move was submitted; reload and retry');
+  }
+  return publish(saved);
+}
+
+async function resignCorrespondenceGame({ gameId, userId }) {
+  const game = await loadGame(gameId);
+  const color = getPlayerColor(game, userId);
+  if (!color) {
+    throw correspondenceError('NOT_A_PLAYER', 'You are not playing in this game');
+  }
+  if (game.status !== 'active') {
+    throw correspondenceError('GAME_NOT_ACTIVE', 'Game is not active');
+  }
+  const completed = await store.completeCorrespondenceGame({
+    id: game.id,
+    result: color === 'white' ? '0-1' : '1-0',
+    reason: 'resign',
+  });
+  if (!completed) {
+    throw correspondenceError('GAME_NOT_ACTIVE', 'Game is not active');
+  }
+  return publish(completed);
+}
+
+function getCorrespondenceGame(gameId) {
+  return loadGame(gameId);
+}
+
+function listCorrespondenceGames(userId, { status, limit } = {}) {
+  return store.listCorrespondenceGamesForUser(userId, { status, limit });
+}
+
+function listMyTurnGames(userId, { limit } = {}) {
+  return store.listCorrespondenceGamesForUser(userId, { myTurn: true, limit });
+}
+
+async function sweepExpiredGames() {
+  const expired = await store.listExpiredCorrespondenceGames();
+  const adjudicated = [];
+  for (const game of expired) {
+    try {
+      const completed = await adjudicateTimeout(game);
+      if (completed) adjudicated.push(completed);
+    } catch (err) {
+      console.error('Failed to adjudicate correspondence game', game.id, err?.message || err);
+    }
+  }
+  return adjudicated;
+}
+
+/** Returns a function that stops the sweeper. */
+function startCorrespondenceSweeper({ intervalMs = DEFAULT_SWEEP_INTERVAL_MS } = {}) {
+  let running = false;
+  const tick = () => {
+    if (running) return;
+    running = true;
+    sweepExpiredGames()
+      .catch((err) => console.error('Correspondence sweep failed', err?.message || err))
+      .finally(() => {
+        running = false;
+      });
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref?.();
+  tick();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  DAYS_PER_MOVE_OPTIONS,
+  correspondenceEvents,
+  createCorrespondenceGame,
+  joinCorrespondenceGame,
+  cancelCorrespondenceGame,
+  playCorrespondenceMove,
+  resignCorrespondenceGame,
+  getCorrespondenceGame,
+  listCorrespondenceGames,
+  listMyTurnGames,
+  sweepExpiredGames,
+  startCorrespondenceSweeper,
+};
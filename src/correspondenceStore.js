@@ -0,0 +1,238 @@
+const { query } = require('./db');
+
+let schemaReady = null;
+
+function ensureCorrespondenceSchema() {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await query(
+        `CREATE TABLE IF NOT EXISTS correspondence_games (
+          id TEXT PRIMARY KEY,
+          status TEXT NOT NULL,
+          created_by TEXT NOT NULL,
+          white_user_id TEXT,
+          white_name TEXT,
+          black_user_id TEXT,
+          black_name TEXT,
+          days_per_move INTEGER NOT NULL,
+          variant_json JSONB NOT NULL,
+          moves_json JSONB NOT NULL DEFAULT '[]'::jsonb,
+          ply INTEGER NOT NULL DEFAULT 0,
+          fen TEXT NOT NULL,
+          turn TEXT NOT NULL DEFAULT 'white',
+          deadline_at TIMESTAMPTZ,
+          result TEXT,
+          reason TEXT,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          started_at TIMESTAMPTZ,
+          completed_at TIMESTAMPTZ,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`
+      );
+      await query(
+        'CREATE INDEX IF NOT EXISTS correspondence_games_deadline_idx ON correspondence_games (status, deadline_at)'
+      );
+      await query(
+        'CREATE INDEX IF NOT EXISTS correspondence_games_white_idx ON correspondence_games (white_user_id, status)'
+      );
+      await query(
+        'CREATE INDEX IF NOT EXISTS correspondence_games_black_idx ON correspondence_games (black_user_id, status)'
+      );
+    })().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function mapGameRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    status: row.status,
+    createdBy: row.created_by,
+    white: { userId: row.white_user_id, name: row.white_name },
+    black: { userId: row.black_user_id, name: row.black_name },
+    daysPerMove: row.days_per_move,
+    variant: parseJson(row.variant_json),
+    moves: parseJson(row.moves_json) || [],
+    ply: row.ply,
+    fen: row.fen,
+    turn: row.turn,
+    deadlineAt: row.deadline_at,
+    result: row.result,
+    reason: row.reason,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+  };
+}
+
+async function insertCorrespondenceGame({
+  id,
+  createdBy,
+  white,
+  black,
+  daysPerMove,
+  variant,
+  fen,
+  turn,
+}) {
+  await ensureCorrespondenceSchema();
+  const result = await query(
+    `INSERT INTO correspondence_games (
+      id, status, created_by, white_user_id, white_name, black_user_id, black_name,
+      days_per_move, variant_json, fen, turn
+    )
+    VALUES ($1, 'waiting', $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *`,
+    [
+      id,
+      createdBy,
+      white.userId,
+      white.name,
+      black.userId,
+      black.name,
+      daysPerMove,
+      JSON.stringify(variant),
+      fen,
+      turn,
+    ]
+  );
+  return mapGameRow(result.rows[0]);
+}
+
+async function findCorrespondenceGame(id) {
+  if (!id) return null;
+  await ensureCorrespondenceSchema();
+  const result = await query('SELECT * FROM correspondence_games WHERE id = $1 LIMIT 1', [id]);
+  return mapGameRow(result.rows[0]);
+}
+
+/** Seats the second player; resolves to null if someone else got there first. */
+async function startCorrespondenceGame({ id, white, black, deadlineAt }) {
+  await ensureCorrespondenceSchema();
+  const result = await query(
+    `UPDATE correspondence_games
+     SET status = 'active',
+         white_user_id = $2, white_name = $3,
+         black_user_id = $4, black_name = $5,
+         deadline_at = $6, started_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'waiting'
+     RETURNING *`,
+    [id, white.userId, white.name, black.userId, black.name, deadlineAt]
+  );
+  return mapGameRow(result.rows[0]);
+}
+
+/**
+ * Stores a move, guarded by the ply it was computed against so two concurrent
+ * submissions cannot both land. Resolves to null when the guard fails.
+ * Passing a result finishes the game in the same statement.
+ */
+async function saveCorrespondenceMove({
+  id,
+  expectedPly,
+  moves,
+  fen,
+  turn,
+  deadlineAt,
+  result = null,
+  reason = null,
+}) {
+  await ensureCorrespondenceSchema();
+  const finished = !!result;
+  const updated = await query(
+    `UPDATE correspondence_games
+     SET moves_json = $3, ply = $2 + 1, fen = $4, turn = $5, deadline_at = $6,
+         status = CASE WHEN $7 THEN 'completed' ELSE status END,
+         result = $8, reason = $9,
+         completed_at = CASE WHEN $7 THEN NOW() ELSE NULL END,
+         updated_at = NOW()
+     WHERE id = $1 AND status = 'active' AND ply = $2
+     RETURNING *`,
+    [id, expectedPly, JSON.stringify(moves), fen, turn, deadlineAt, finished, result, reason]
+  );
+  return mapGameRow(updated.rows[0]);
+}
+
+/**
+ * Ends an active game. With `onlyIfExpired` the update only applies while the
+ * move deadline is still in the past, so concurrent sweepers adjudicate once.
+ */
+async function completeCorrespondenceGame({ id, result, reason, onlyIfExpired = false }) {
+  await ensureCorrespondenceSchema();
+  const updated = await query(
+    `UPDATE correspondence_games
+     SET status = 'completed', result = $2, reason = $3, completed_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'active' AND (NOT $4 OR deadline_at <= NOW())
+     RETURNING *`,
+    [id, result, reason, onlyIfExpired]
+  );
+  return mapGameRow(updated.rows[0]);
+}
+
+async function deleteWaitingCorrespondenceGame({ id, userId }) {
+  await ensureCorrespondenceSchema();
+  const deleted = await query(
+    `DELETE FROM correspondence_games
+     WHERE id = $1 AND status = 'waiting' AND created_by = $2
+     RETURNING *`,
+    [id, userId]
+  );
+  return mapGameRow(deleted.rows[0]);
+}
+
+async function listCorrespondenceGamesForUser(userId, { status, myTurn = false, limit = 100 } = {}) {
+  if (!userId) return [];
+  await ensureCorrespondenceSchema();
+  const conditions = ['(white_user_id = $1 OR black_user_id = $1)'];
+  const params = [userId];
+  if (myTurn) {
+    conditions.push(`status = 'active'`);
+    conditions.push(`((turn = 'white' AND white_user_id = $1) OR (turn = 'black' AND black_user_id = $1))`);
+  } else if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  params.push(Math.max(1, Math.min(500, Number(limit) || 100)));
+  const result = await query(
+    `SELECT *
+     FROM correspondence_games
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY deadline_at ASC NULLS LAST, updated_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows.map(mapGameRow);
+}
+
+async function listExpiredCorrespondenceGames({ limit = 100 } = {}) {
+  await ensureCorrespondenceSchema();
+  const result = await query(
+    `SELECT *
+     FROM correspondence_games
+     WHERE status = 'active' AND deadline_at <= NOW()
+     ORDER BY deadline_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows.map(mapGameRow);
+}
+
+module.exports = {
+  ensureCorrespondenceSchema,
+  insertCorrespondenceGame,
+  findCorrespondenceGame,
+  startCorrespondenceGame,
+  saveCorrespondenceMove,
+  completeCorrespondenceGame,
+  deleteWaitingCorrespondenceGame,
+  listCorrespondenceGamesForUser,
+  listExpiredCorrespondenceGames,
+};
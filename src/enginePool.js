@@ -0,0 +1,341 @@
+/*
+ * A pool of long-lived UCI engine processes. Each worker does the uci/isready
+ * handshake once and then serves searches one at a time, with `ucinewgame`
+ * and the requested options sent before every job. Requests beyond the free
+ * workers wait in a bounded queue; each has a deadline that covers both the
+ * wait and the search. Workers that crash, hang or ignore `stop` are replaced
+ * with exponential backoff.
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+
+const HANDSHAKE_TIMEOUT_MS = 6000;
+const DEFAULT_TIMEOUT_MS = 6000;
+const STOP_GRACE_MS = 1000;
+const RESPAWN_BASE_DELAY_MS = 500;
+const RESPAWN_MAX_DELAY_MS = 30_000;
+// A worker that stayed up this long resets its slot's respawn backoff.
+const STABLE_UPTIME_MS = 60_000;
+
+function engineError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Creates a pool of `size` workers running `binaryPath`. Jobs passed to
+ * `search` are `{ position, go, options, timeoutMs }` where `position` and
+ * `go` are UCI commands and `options` maps UCI option names to values.
+ * Resolves to `{ bestMove, ponder, output }` with every line the engine
+ * printed during the search.
+ */
+function createEnginePool({
+  binaryPath,
+  size = 2,
+  maxQueue = 100,
+  defaultTimeoutMs = DEFAULT_TIMEOUT_MS,
+} = {}) {
+  const poolSize = Math.max(1, Math.floor(Number(size)) || 1);
+  const queueLimit = Math.max(0, Math.floor(Number(maxQueue)) || 0);
+  const workers = new Array(poolSize).fill(null);
+  const slotFailures = new Array(poolSize).fill(0);
+  const queue = [];
+  const counters = {
+    completed: 0,
+    failed: 0,
+    timedOut: 0,
+    rejected: 0,
+    crashes: 0,
+    restarts: 0,
+    searchMs: 0,
+  };
+  let nextWorkerId = 1;
+  let closed = false;
+
+  function write(worker, command) {
+    const { stdin } = worker.child;
+    if (!stdin || stdin.destroyed || !stdin.writable) {
+      throw new Error('Engine stdin is not writable');
+    }
+    stdin.write(`${command}\n`);
+  }
+
+  function killWorker(worker, reason) {
+    if (worker.state === 'dead') return;
+    worker.killReason = reason;
+    if (worker.child && !worker.child.killed) {
+      worker.child.kill('SIGKILL');
+    } else {
+      handleWorkerExit(worker, reason);
+    }
+  }
+
+  function settleJob(job, err, value) {
+    if (job.settled) return;
+    job.settled = true;
+    clearTimeout(job.timer);
+    if (err) {
+      // Timeouts are counted on their own, not as failures as well.
+      if (err.code === 'ENGINE_TIMEOUT') counters.timedOut += 1;
+      else counters.failed += 1;
+      job.reject(err);
+    } else {
+      counters.completed += 1;
+      counters.searchMs += Date.now() - job.startedAt;
+      job.resolve(value);
+    }
+  }
+
+  function scheduleRespawn(slot, worker) {
+    if (Date.now() - worker.startedAt >= STABLE_UPTIME_MS) {
+      slotFailures[slot] = 0;
+    }
+    const delay = Math.min(RESPAWN_BASE_DELAY_MS * 2 ** slotFailures[slot], RESPAWN_MAX_DELAY_MS);
+    slotFailures[slot] += 1;
+    const timer = setTimeout(() => {
+      if (closed || workers[slot] !== worker) return;
+      counters.restarts += 1;
+      spawnWorker(slot);
+    }, delay);
+    timer.unref?.();
+  }
+
+  function handleWorkerExit(worker, reason) {
+    if (worker.state === 'dead') return;
+    const wasStarting = worker.state === 'starting';
+    worker.state = 'dead';
+    worker.onLine = null;
+    clearTimeout(worker.handshakeTimer);
+    clearTimeout(worker.drainTimer);
+    worker.rl?.removeAllListeners();
+    worker.rl?.close();
+    if (closed) return;
+
+    if (!worker.killReason) counters.crashes += 1;
+    if (worker.job) {
+      const detail = worker.stderr ? ` ${worker.stderr.trim()}` : '';
+      settleJob(worker.job, engineError('ENGINE_CRASHED', `Engine exited during search (${worker.killReason || reason}).${detail}`));
+      worker.job = null;
+    }
+    if (wasStarting) {
+      console.warn('Engine worker failed to start', { slot: worker.slot, reason: worker.killReason || reason });
+    }
+    scheduleRespawn(worker.slot, worker);
+  }
+
+  function spawnWorker(slot) {
+    const worker = {
+      id: nextWorkerId,
+      slot,
+      state: 'starting',
+      child: null,
+      rl: null,
+      job: null,
+      onLine: null,
+      stderr: '',
+      startedAt: Date.now(),
+      handshakeTimer: null,
+      drainTimer: null,
+      killReason: null,
+    };
+    nextWorkerId += 1;
+    workers[slot] = worker;
+
+    try {
+      worker.child = spawn(binaryPath, [], { stdio: ['pipe', 'pipe', 'pipe'] });
+    } catch (err) {
+      handleWorkerExit(worker, err.message || String(err));
+      return worker;
+    }
+
+    const { child } = worker;
+    child.stdin.on('error', () => {
+      // The exit handler reports the failure; a write after death lands here.
+    });
+    child.stderr.on('data', (chunk) => {
+      worker.stderr = `${worker.stderr}${chunk}`.slice(-2000);
+    });
+    child.on('error', (err) => handleWorkerExit(worker, err.message || String(err)));
+    child.on('exit', (code, signal) => handleWorkerExit(worker, code !== null ? `exit code ${code}` : `signal ${signal}`));
+    worker.rl = readline.createInterface({ input: child.stdout, crlfDelay: Infinity });
+    worker.rl.on('line', (line) => {
+      const trimmed = line.trim();
+      if (trimmed && worker.onLine) worker.onLine(trimmed);
+    });
+
+    worker.handshakeTimer = setTimeout(() => killWorker(worker, 'handshake timed out'), HANDSHAKE_TIMEOUT_MS);
+    worker.onLine = (line) => {
+      if (line === 'uciok') {
+        write(worker, 'isready');
+      } else if (line === 'readyok') {
+        clearTimeout(worker.handshakeTimer);
+        worker.state = 'idle';
+        worker.onLine = null;
+        dispatch();
+      }
+    };
+    try {
+      write(worker, 'uci');
+    } catch (err) {
+      killWorker(worker, err.message);
+    }
+    return worker;
+  }
+
+  function becomeIdle(worker) {
+    clearTimeout(worker.drainTimer);
+    worker.job = null;
+    worker.onLine = null;
+    worker.state = 'idle';
+    dispatch();
+  }
+
+  function runJob(worker, job) {
+    worker.state = 'busy';
+    worker.job = job;
+    job.worker = worker;
+    job.startedAt = Date.now();
+    const output = [];
+    let searching = false;
+
+    worker.onLine = (line) => {
+      if (!searching) {
+        if (line !== 'readyok') return;
+        if (job.settled) {
+          becomeIdle(worker);
+          return;
+        }
+        searching = true;
+        write(worker, job.position);
+        write(worker, job.go);
+        return;
+      }
+      output.push(line);
+      if (!line.startsWith('bestmove')) return;
+      const parts = line.split(/\s+/);
+      const bestMove = parts[1] && parts[1] !== '(none)' ? parts[1] : null;
+      const ponder = parts[2] === 'ponder' ? parts[3] || null : null;
+      settleJob(job, null, { bestMove, ponder, output });
+      becomeIdle(worker);
+    };
+
+    try {
+      write(worker, 'ucinewgame');
+      Object.entries(job.options || {}).forEach(([name, value]) => {
+        write(worker, `setoption name ${name} value ${value}`);
+      });
+      write(worker, 'isready');
+    } catch (err) {
+      killWorker(worker, err.message);
+    }
+  }
+
+  function dispatch() {
+    while (queue.length) {
+      const worker = workers.find((candidate) => candidate && candidate.state === 'idle');
+      if (!worker) return;
+      runJob(worker, queue.shift());
+    }
+  }
+
+  function handleJobTimeout(job) {
+    if (job.settled) return;
+    settleJob(job, engineError('ENGINE_TIMEOUT', 'Engine response timed out'));
+    const queued = queue.indexOf(job);
+    if (queued !== -1) {
+      queue.splice(queued, 1);
+      return;
+    }
+    // Ask the engine to stop; a worker that does not answer with bestmove in time is replaced.
+    const { worker } = job;
+    if (!worker || worker.job !== job || worker.state !== 'busy') return;
+    worker.state = 'draining';
+    worker.drainTimer = setTimeout(() => killWorker(worker, 'did not stop after timeout'), STOP_GRACE_MS);
+    try {
+      write(worker, 'stop');
+    } catch (err) {
+      killWorker(worker, err.message);
+    }
+  }
+
+  function search({ position, go, options = {}, timeoutMs } = {}) {
+    if (closed) {
+      return Promise.reject(engineError('ENGINE_POOL_CLOSED', 'Engine pool has been shut down'));
+    }
+    const idle = workers.some((worker) => worker && worker.state === 'idle');
+    if (!idle && queue.length >= queueLimit) {
+      counters.rejected += 1;
+      return Promise.reject(engineError('ENGINE_BUSY', 'All engines are busy; try again shortly'));
+    }
+    return new Promise((resolve, reject) => {
+      const job = {
+        position,
+        go,
+        options,
+        resolve,
+        reject,
+        settled: false,
+        worker: null,
+        enqueuedAt: Date.now(),
+        startedAt: null,
+        timer: null,
+      };
+      const limit = Number(timeoutMs) > 0 ? Number(timeoutMs) : defaultTimeoutMs;
+      job.timer = setTimeout(() => handleJobTimeout(job), limit);
+      queue.push(job);
+      dispatch();
+    });
+  }
+
+  function getStats() {
+    const states = { starting: 0, idle: 0, busy: 0, draining: 0, dead: 0 };
+    workers.forEach((worker) => {
+      states[worker ? worker.state : 'dead'] += 1;
+    });
+    return {
+      size: poolSize,
+      workers: states,
+      queued: queue.length,
+      maxQueue: queueLimit,
+      completed: counters.completed,
+      failed: counters.failed,
+      timedOut: counters.timedOut,
+      rejected: counters.rejected,
+      crashes: counters.crashes,
+      restarts: counters.restarts,
+      averageSearchMs: counters.completed ? Math.round(counters.searchMs / counters.completed) : null,
+    };
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    queue.splice(0).forEach((job) => {
+      settleJob(job, engineError('ENGINE_POOL_CLOSED', 'Engine pool has been shut down'));
+    });
+    workers.forEach((worker) => {
+      if (!worker || worker.state === 'dead') return;
+      if (worker.job) {
+        settleJob(worker.job, engineError('ENGINE_POOL_CLOSED', 'Engine pool has been shut down'));
+      }
+      try {
+        write(worker, 'quit');
+      } catch (err) {
+        // Already gone.
+      }
+      killWorker(worker, 'pool closed');
+    });
+  }
+
+  for (let slot = 0; slot < poolSize; slot += 1) {
+    spawnWorker(slot);
+  }
+
+  return { search, getStats, close };
+}
+
+module.exports = {
+  createEnginePool,
+};
@@ -0,0 +1,220 @@
+/*
+ * A dedicated UCI engine process for interactive analysis. Unlike the pool,
+ * a session keeps its process between searches and hands every line the
+ * engine prints to the caller as it arrives. Starting a new search while one
+ * is running stops the old one first; its `bestmove` is swallowed so the
+ * caller only ever hears about the search it asked for last.
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+
+const HANDSHAKE_TIMEOUT_MS = 6000;
+const STOP_GRACE_MS = 1000;
+
+function engineError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Spawns `binaryPath` and returns `{ search, stop, close, isSearching }`.
+ * `search({ position, go, options })` replaces any running search and
+ * resolves to a search id once the engine accepted it. `onLine(searchId, line)`
+ * receives the engine output of the current search, `onBestMove(searchId, line)`
+ * its final line, and `onClose(err)` is called once when the process goes
+ * away, with an error unless `close` was called.
+ */
+function createEngineSession({ binaryPath, onLine, onBestMove, onClose }) {
+  const appliedOptions = new Map();
+  let state = 'handshake';
+  let current = null; // { id, position, go, options } being searched
+  let pending = null; // search waiting for the engine to become free
+  let preparing = null; // search whose position is being set up
+  let nextSearchId = 1;
+  let readyWaiter = null;
+  let stopTimer = null;
+  let closing = false;
+  let stderr = '';
+
+  const child = spawn(binaryPath, [], { stdio: ['pipe', 'pipe', 'pipe'] });
+  const rl = readline.createInterface({ input: child.stdout, crlfDelay: Infinity });
+
+  function write(command) {
+    if (!child.stdin || child.stdin.destroyed || !child.stdin.writable) {
+      throw engineError('ENGINE_CRASHED', 'Engine stdin is not writable');
+    }
+    child.stdin.write(`${command}\n`);
+  }
+
+  function finish(err) {
+    if (state === 'closed') return;
+    state = 'closed';
+    clearTimeout(handshakeTimer);
+    clearTimeout(stopTimer);
+    rl.removeAllListeners();
+    rl.close();
+    if (pending) pending.reject(err || engineError('ENGINE_SESSION_CLOSED', 'Engine session was closed'));
+    if (preparing) preparing.reject(err || engineError('ENGINE_SESSION_CLOSED', 'Engine session was closed'));
+    pending = null;
+    preparing = null;
+    current = null;
+    if (!child.killed) child.kill('SIGKILL');
+    onClose?.(closing ? null : err);
+  }
+
+  function fail(reason) {
+    const detail = stderr ? ` ${stderr.trim()}` : '';
+    finish(engineError('ENGINE_CRASHED', `Engine session ended (${reason}).${detail}`));
+  }
+
+  function startPending() {
+    const search = pending;
+    pending = null;
+    preparing = search;
+    state = 'preparing';
+    try {
+      Object.entries(search.options || {}).forEach(([name, value]) => {
+        if (appliedOptions.get(name) === String(value)) return;
+        write(`setoption name ${name} value ${value}`);
+        appliedOptions.set(name, String(value));
+      });
+      write(search.position);
+      write('isready');
+    } catch (err) {
+      search.reject(err);
+      fail(err.message);
+      return;
+    }
+    readyWaiter = () => {
+      preparing = null;
+      if (search.cancelled || pending) {
+        // Stopped or superseded before it started.
+        search.reject(engineError('ENGINE_SEARCH_REPLACED', 'Search was replaced'));
+        state = 'idle';
+        if (pending) startPending();
+        return;
+      }
+      current = search;
+      state = 'searching';
+      write(search.go);
+      search.resolve(search.id);
+    };
+  }
+
+  function handleLine(line) {
+    if (state === 'handshake') {
+      if (line === 'uciok') write('isready');
+      else if (line === 'readyok') {
+        clearTimeout(handshakeTimer);
+        state = 'idle';
+        if (pending) startPending();
+      }
+      return;
+    }
+    if (state === 'preparing') {
+      if (line === 'readyok' && readyWaiter) {
+        const waiter = readyWaiter;
+        readyWaiter = null;
+        waiter();
+      }
+      return;
+    }
+    if (!current) return;
+    if (line.startsWith('bestmove')) {
+      clearTimeout(stopTimer);
+      stopTimer = null;
+      const finished = current;
+      current = null;
+      state = 'idle';
+      if (pending) {
+        startPending();
+      } else if (!finished.superseded) {
+        onBestMove?.(finished.id, line);
+      }
+      return;
+    }
+    if (!current.superseded) onLine?.(current.id, line);
+  }
+
+  function requestStop() {
+    if (state !== 'searching' || !current || stopTimer) return;
+    stopTimer = setTimeout(() => fail('did not stop in time'), STOP_GRACE_MS);
+    stopTimer.unref?.();
+    try {
+      write('stop');
+    } catch (err) {
+      fail(err.message);
+    }
+  }
+
+  function search({ position, go, options = {} }) {
+    if (state === 'closed') {
+      return Promise.reject(engineError('ENGINE_SESSION_CLOSED', 'Engine session was closed'));
+    }
+    return new Promise((resolve, reject) => {
+      if (pending) pending.reject(engineError('ENGINE_SEARCH_REPLACED', 'Search was replaced'));
+      pending = { id: nextSearchId, position, go, options, resolve, reject };
+      nextSearchId += 1;
+      if (state === 'idle') {
+        startPending();
+      } else if (state === 'searching') {
+        current.superseded = true;
+        requestStop();
+      }
+    });
+  }
+
+  /** Stops the running search; the engine still reports its best move so far. */
+  function stop() {
+    if (pending) {
+      pending.reject(engineError('ENGINE_SEARCH_REPLACED', 'Search was stopped'));
+      pending = null;
+    }
+    if (preparing) preparing.cancelled = true;
+    requestStop();
+  }
+
+  function close() {
+    if (state === 'closed') return;
+    closing = true;
+    try {
+      write('quit');
+    } catch (err) {
+      // Already gone.
+    }
+    finish(null);
+  }
+
+  child.stdin.on('error', () => {
+    // The exit handler reports the failure; a write after death lands here.
+  });
+  child.stderr.on('data', (chunk) => {
+    stderr = `${stderr}${chunk}`.slice(-2000);
+  });
+  child.on('error', (err) => fail(err.message || String(err)));
+  child.on('exit', (code, signal) => fail(code !== null ? `exit code ${code}` : `signal ${signal}`));
+  rl.on('line', (line) => {
+    const trimmed = line.trim();
+    if (trimmed) handleLine(trimmed);
+  });
+
+  const handshakeTimer = setTimeout(() => fail('handshake timed out'), HANDSHAKE_TIMEOUT_MS);
+  try {
+    write('uci');
+  } catch (err) {
+    fail(err.message);
+  }
+
+  return {
+    search,
+    stop,
+    close,
+    isSearching: () => state === 'searching' || state === 'preparing' || Boolean(pending),
+  };
+}
+
+module.exports = {
+  createEngineSession,
+};
@@ -0,0 +1,89 @@
+/*
+ * Engine evaluations keyed by position (the FEN without its move counters)
+ * and the settings that change the result. Recent entries are kept in an
+ * in-memory LRU; with persistence enabled every entry is also written to
+ * Postgres, which backs memory misses. An entry answers a request only when
+ * it was searched at least as deep as asked.
+ */
+
+const store = require('./evaluationCacheStore');
+const { getPositionKey } = require('./gameRules');
+const config = require('./config');
+
+const entries = new Map(); // "positionKey|settingsKey" -> { depth, result }, oldest first
+const counters = { hits: 0, misses: 0 };
+
+function normalizeFen(fen) {
+  return getPositionKey(String(fen).trim().split(/\s+/).join(' '));
+}
+
+function remember(key, entry) {
+  const existing = entries.get(key);
+  if (existing && existing.depth > entry.depth) {
+    entries.delete(key);
+    entries.set(key, existing);
+    return;
+  }
+  entries.delete(key);
+  entries.set(key, entry);
+  const limit = Math.max(0, config.evaluationCacheSize);
+  while (entries.size > limit) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/** Resolves to a cached result searched to at least `depth`, or null. */
+async function lookupEvaluation({ fen, settingsKey, depth }) {
+  const positionKey = normalizeFen(fen);
+  const key = `${positionKey}|${settingsKey}`;
+  let entry = entries.get(key) || null;
+  if (entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+  }
+  if ((!entry || entry.depth < depth) && config.persistEvaluations) {
+    try {
+      const stored = await store.findEvaluation(positionKey, settingsKey);
+      if (stored && (!entry || stored.depth > entry.depth)) {
+        entry = stored;
+        remember(key, stored);
+      }
+    } catch (err) {
+      console.error('Failed to read cached evaluation', err?.message || err);
+    }
+  }
+  if (entry && entry.depth >= depth) {
+    counters.hits += 1;
+    return entry.result;
+  }
+  counters.misses += 1;
+  return null;
+}
+
+function storeEvaluation({ fen, settingsKey, depth, result }) {
+  if (!Number.isFinite(depth) || depth <= 0) return;
+  const positionKey = normalizeFen(fen);
+  remember(`${positionKey}|${settingsKey}`, { depth, result });
+  if (config.persistEvaluations) {
+    store.saveEvaluation({ positionKey, settingsKey, depth, result }).catch((err) => {
+      console.error('Failed to persist evaluation', err?.message || err);
+    });
+  }
+}
+
+function getEvaluationCacheStats() {
+  return {
+    entries: entries.size,
+    maxEntries: config.evaluationCacheSize,
+    persisted: config.persistEvaluations,
+    hits: counters.hits,
+    misses: counters.misses,
+  };
+}
+
+module.exports = {
+  normalizeFen,
+  lookupEvaluation,
+  storeEvaluation,
+  getEvaluationCacheStats,
+};
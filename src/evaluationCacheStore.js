@@ -0,0 +1,59 @@
+const { query } = require('./db');
+
+let schemaReady = null;
+
+function ensureEvaluationSchema() {
+  if (!schemaReady) {
+    schemaReady = query(
+      `CREATE TABLE IF NOT EXISTS engine_evaluations (
+        position_key TEXT NOT NULL,
+        settings_key TEXT NOT NULL,
+        depth INTEGER NOT NULL,
+        result_json JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (position_key, settings_key)
+      )`
+    ).catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+async function findEvaluation(positionKey, settingsKey) {
+  await ensureEvaluationSchema();
+  const result = await query(
+    `SELECT depth, result_json
+     FROM engine_evaluations
+     WHERE position_key = $1 AND settings_key = $2
+     LIMIT 1`,
+    [positionKey, settingsKey]
+  );
+  const row = result.rows[0];
+  return row ? { depth: row.depth, result: parseJson(row.result_json) } : null;
+}
+
+/** Keeps whichever evaluation of the position is deeper. */
+async function saveEvaluation({ positionKey, settingsKey, depth, result }) {
+  await ensureEvaluationSchema();
+  await query(
+    `INSERT INTO engine_evaluations (position_key, settings_key, depth, result_json)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (position_key, settings_key)
+     DO UPDATE SET depth = EXCLUDED.depth, result_json = EXCLUDED.result_json, updated_at = NOW()
+     WHERE engine_evaluations.depth <= EXCLUDED.depth`,
+    [positionKey, settingsKey, depth, JSON.stringify(result)]
+  );
+}
+
+module.exports = {
+  ensureEvaluationSchema,
+  findEvaluation,
+  saveEvaluation,
+};
@@ -0,0 +1,125 @@
+/*
+ * Chess rules shared by live and correspondence games: turn helpers, move
+ * parsing and the draw and game-end conditions chess.js does not enforce.
+ */
+
+const FIFTY_MOVE_HALFMOVES = 100;
+const SEVENTY_FIVE_MOVE_HALFMOVES = 150;
+
+function getOpponentColor(color) {
+  return color === 'white' ? 'black' : 'white';
+}
+
+function getTurnColor(chessInstance) {
+  return chessInstance.turn() === 'w' ? 'white' : 'black';
+}
+
+function hasMatingMaterial(chessInstance, color) {
+  const side = color === 'white' ? 'w' : 'b';
+  let minors = 0;
+  for (const row of chessInstance.board()) {
+    for (const square of row) {
+      if (!square || square.color !== side) continue;
+      if (['p', 'r', 'q'].includes(square.type)) return true;
+      if (square.type === 'n' || square.type === 'b') minors += 1;
+    }
+  }
+  return minors >= 2;
+}
+
+function getWinnerColor(result) {
+  if (result === '1-0') return 'white';
+  if (result === '0-1') return 'black';
+  return null;
+}
+
+function uciToMoveInput(uci) {
+  return {
+    from: uci.slice(0, 2),
+    to: uci.slice(2, 4),
+    promotion: uci.length > 4 ? uci[4] : undefined,
+  };
+}
+
+const UCI_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+const LAN_PATTERN = /^[KQRBN]?([a-h][1-8])[-x]([a-h][1-8])(?:=?([QRBNqrbn]))?[+#]?$/;
+
+/**
+ * Turns UCI ("e7e8q"), long algebraic ("Ng1-f3", "e7xe8=Q") or SAN ("Nf3",
+ * "O-O") into something chess.js `move` accepts. SAN is passed through for
+ * chess.js to resolve against the position.
+ */
+function parseMoveInput(notation) {
+  if (typeof notation !== 'string') return null;
+  const text = notation.trim();
+  const coordinates = text.match(UCI_PATTERN) || text.match(LAN_PATTERN);
+  if (coordinates) {
+    const [, from, to, promotion] = coordinates;
+    return { from, to, promotion: promotion ? promotion.toLowerCase() : undefined };
+  }
+  return text || null;
+}
+
+function moveToUci(move) {
+  return `${move.from}${move.to}${move.promotion || ''}`;
+}
+
+function getPositionKey(fen) {
+  return fen.split(' ').slice(0, 4).join(' ');
+}
+
+function countCurrentPositionRepetitions(chessInstance) {
+  const history = chessInstance.history({ verbose: true });
+  const currentKey = getPositionKey(chessInstance.fen());
+  const positions = history.length
+    ? [history[0].before, ...history.map((move) => move.after)]
+    : [chessInstance.fen()];
+  return positions.filter((fen) => getPositionKey(fen) === currentKey).length;
+}
+
+function getHalfmoveClock(chessInstance) {
+  return Number.parseInt(chessInstance.fen().split(' ')[4], 10) || 0;
+}
+
+/**
+ * Threefold repetition and the fifty-move rule only end the game when a player
+ * claims them; fivefold repetition and the seventy-five-move rule end it
+ * automatically.
+ */
+function determineGameOutcome(chessInstance, moverColor) {
+  if (chessInstance.isCheckmate()) {
+    return {
+      result: moverColor === 'white' ? '1-0' : '0-1',
+      reason: 'checkmate',
+    };
+  }
+  if (chessInstance.isStalemate()) {
+    return { result: '1/2-1/2', reason: 'stalemate' };
+  }
+  if (chessInstance.isInsufficientMaterial()) {
+    return { result: '1/2-1/2', reason: 'insufficient_material' };
+  }
+  if (countCurrentPositionRepetitions(chessInstance) >= 5) {
+    return { result: '1/2-1/2', reason: 'fivefold' };
+  }
+  if (getHalfmoveClock(chessInstance) >= SEVENTY_FIVE_MOVE_HALFMOVES) {
+    return { result: '1/2-1/2', reason: 'seventy_five_move' };
+  }
+  return null;
+}
+
+module.exports = {
+  FIFTY_MOVE_HALFMOVES,
+  SEVENTY_FIVE_MOVE_HALFMOVES,
+  getOpponentColor,
+  getTurnColor,
+  hasMatingMaterial,
+  getWinnerColor,
+  uciToMoveInput,
+  parseMoveInput,
+  moveToUci,
+  getPositionKey,
+  countCurrentPositionRepetitions,
+  getHalfmoveClock,
+  determineGameOutcome,
+};
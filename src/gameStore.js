@@ -77,6 +77,26 @@ async function listGamesForUser(userId, { limit = 100 } = {}) {
   }));
 }
 
+/**
+ * Finds one of a user's recorded games by its history id or by the online
+ * game id stored in its metadata.
+ */
+async function findGameForUser(userId, gameId) {
+  if (!userId || !gameId) return null;
+  const result = await query(
+    `SELECT id, metadata_json
+     FROM games
+     WHERE user_id = $1 AND (id = $2 OR metadata_json::jsonb->>'gameId' = $2)
+     ORDER BY finished_at DESC NULLS LAST
+     LIMIT 1`,
+    [userId, gameId]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  const metadata = typeof row.metadata_json === 'string' ? JSON.parse(row.metadata_json) : row.metadata_json;
+  return { id: row.id, metadata: metadata || {} };
+}
+
 async function clearGamesForUser(userId) {
   if (!userId) return;
   await query('DELETE FROM games WHERE user_id = $1', [userId]);
@@ -85,5 +105,6 @@ async function clearGamesForUser(userId) {
 module.exports = {
   recordCompletedGame,
   listGamesForUser,
+  findGameForUser,
   clearGamesForUser,
 };
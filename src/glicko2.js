@@ -0,0 +1,102 @@
+/*
+ * Glicko-2 rating calculations (Glickman, "Example of the Glicko-2 system").
+ * Every game is treated as its own rating period.
+ */
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_RD = 30;
+const TAU = 0.5;
+const SCALE = 173.7178;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+function toGlicko2Scale({ rating, rd }) {
+  return {
+    mu: (rating - DEFAULT_RATING) / SCALE,
+    phi: rd / SCALE,
+  };
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, opponentMu, opponentPhi) {
+  return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+function computeVolatility(phi, volatility, delta, variance) {
+  const a = Math.log(volatility * volatility);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const numerator = ex * (delta * delta - phi * phi - variance - ex);
+    const denominator = 2 * (phi * phi + variance + ex) ** 2;
+    return numerator / denominator - (x - a) / (TAU * TAU);
+  };
+
+  let lower = a;
+  let upper;
+  if (delta * delta > phi * phi + variance) {
+    upper = Math.log(delta * delta - phi * phi - variance);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k += 1;
+    upper = a - k * TAU;
+  }
+
+  let fLower = f(lower);
+  let fUpper = f(upper);
+  while (Math.abs(upper - lower) > CONVERGENCE_TOLERANCE) {
+    const candidate = lower + ((lower - upper) * fLower) / (fUpper - fLower);
+    const fCandidate = f(candidate);
+    if (fCandidate * fUpper <= 0) {
+      lower = upper;
+      fLower = fUpper;
+    } else {
+      fLower /= 2;
+    }
+    upper = candidate;
+    fUpper = fCandidate;
+  }
+  return Math.exp(lower / 2);
+}
+
+/**
+ * Rates one player against one opponent. `score` is 1 for a win, 0.5 for a
+ * draw and 0 for a loss. Ratings are `{ rating, rd, volatility }` objects on
+ * the familiar 1500-based scale.
+ */
+function rateGame(player, opponent, score) {
+  const { mu, phi } = toGlicko2Scale(player);
+  const { mu: opponentMu, phi: opponentPhi } = toGlicko2Scale(opponent);
+  const volatility = player.volatility || DEFAULT_VOLATILITY;
+
+  const expected = expectedScore(mu, opponentMu, opponentPhi);
+  const gPhi = g(opponentPhi);
+  const variance = 1 / (gPhi * gPhi * expected * (1 - expected));
+  const delta = variance * gPhi * (score - expected);
+
+  const newVolatility = computeVolatility(phi, volatility, delta, variance);
+  const phiStar = Math.sqrt(phi * phi + newVolatility * newVolatility);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / variance);
+  const newMu = mu + newPhi * newPhi * gPhi * (score - expected);
+
+  return {
+    rating: Math.round((newMu * SCALE + DEFAULT_RATING) * 100) / 100,
+    rd: Math.max(MIN_RD, Math.round(newPhi * SCALE * 100) / 100),
+    volatility: Math.round(newVolatility * 1e6) / 1e6,
+  };
+}
+
+function defaultRating() {
+  return { rating: DEFAULT_RATING, rd: DEFAULT_RD, volatility: DEFAULT_VOLATILITY };
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  DEFAULT_VOLATILITY,
+  rateGame,
+  defaultRating,
+};
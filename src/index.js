@@ -8,7 +8,14 @@ const cors = require('cors');
 
 const config = require('./config');
 const stockfishService = require('./stockfishService');
-const { initOnlinePlayServer } = require('./onlinePlayServer');
+const { getEvaluationCacheStats } = require('./evaluationCache');
+const {
+  initOnlinePlayServer,
+  listOpenLobbies,
+  isOnlineGameLive,
+  runTournamentAction,
+  tournamentOwnership,
+} = require('./onlinePlayServer');
 const {
   analyzeGame,
   createGame,
@@ -38,6 +45,31 @@ const {
   updateUserRatings,
   mapUserRow,
 } = require('./userService');
+const { listRatingHistory } = require('./ratingService');
+const {
+  createCorrespondenceGame,
+  joinCorrespondenceGame,
+  cancelCorrespondenceGame,
+  playCorrespondenceMove,
+  resignCorrespondenceGame,
+  getCorrespondenceGame,
+  listCorrespondenceGames,
+  listMyTurnGames,
+  startCorrespondenceSweeper,
+} = require('./correspondenceService');
+const {
+  createAnalysisJob,
+  getAnalysisJob,
+  listAnalysisJobs,
+  cancelAnalysisJob,
+} = require('./analysisJobService');
+const {
+  createTournament,
+  getTournament,
+  getTournamentStandings,
+  listTournaments,
+  startTournamentScheduler,
+} = require('./tournamentService');
 const {
   signAccessToken,
   verifyAccessToken,
@@ -137,9 +169,24 @@ app.delete('/games/completed', (req, res) => {
   res.status(204).end();
 });
 
+app.get('/lobbies', (req, res) => {
+  res.json({ lobbies: listOpenLobbies() });
+});
+
+const ENGINE_ERROR_STATUS = {
+  INVALID_FEN: 400,
+  INVALID_MOVES: 400,
+  ENGINE_BUSY: 503,
+  ENGINE_TIMEOUT: 504,
+};
+
+app.get('/engines/stockfish/pool', (req, res) => {
+  res.json({ pool: stockfishService.getEnginePoolStats(), cache: getEvaluationCacheStats() });
+});
+
 app.post('/engines/stockfish/move', async (req, res) => {
   try {
-    const { fen, moves, movetime, depth, skillLevel, timeoutMs, multiPv } = req.body || {};
+    const { fen, moves, movetime, depth, skillLevel, timeoutMs, multiPv, chess960 } = req.body || {};
     const data = await stockfishService.getBestMove({
       fen,
       moves,
@@ -148,40 +195,14 @@ app.post('/engines/stockfish/move', async (req, res) => {
       skillLevel,
       timeoutMs,
       multiPv,
+      chess960: chess960 === true,
     });
     res.json(data);
   } catch (err) {
-    const status = err?.message === 'FEN is required to request a Stockfish move.' ? 400 : 500;
-    res.status(status).json({ error: err.message || 'Stockfish failed to compute move' });
-  }
-});
-
-app.post('/engines/stockfish/analyze', async (req, res) => {
-  try {
-    const {
-      pgn,
-      depth,
-      movetime,
-      skillLevel,
-      timeoutMs,
-      multiPv,
-      maxPlies,
-      thresholds,
-    } = req.body || {};
-    const data = await stockfishService.analyzeGame({
-      pgn,
-      depth,
-      movetime,
-      skillLevel,
-      timeoutMs,
-      multiPv,
-      maxPlies,
-      thresholds,
-    });
-    res.json({ ok: true, data });
-  } catch (err) {
-    const status = err?.message === 'PGN is required for analysis.' ? 400 : 500;
-    res.status(status).json({ error: err.message || 'Stockfish analysis failed' });
+    const status = err?.message === 'FEN is required to request a Stockfish move.'
+      ? 400
+      : ENGINE_ERROR_STATUS[err?.code] || 500;
+    res.status(status).json({ error: err.message || 'Stockfish failed to compute move', code: err?.code });
   }
 });
 
@@ -241,6 +262,261 @@ function authenticate(req, res, next) {
   }
 }
 
+function optionalAuthenticate(req, res, next) {
+  if (!req.headers.authorization) return next();
+  return authenticate(req, res, next);
+}
+
+const CORRESPONDENCE_ERROR_STATUS = {
+  GAME_NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+  NOT_A_PLAYER: 403,
+  GAME_NOT_CANCELLABLE: 403,
+  CONFLICT: 409,
+  GAME_NOT_JOINABLE: 409,
+  GAME_NOT_ACTIVE: 409,
+};
+
+function sendCorrespondenceError(res, err) {
+  const status = err?.code ? CORRESPONDENCE_ERROR_STATUS[err.code] || 400 : 500;
+  return res.status(status).json({ error: err.message || 'Correspondence request failed', code: err?.code });
+}
+
+app.use('/correspondence', authenticate);
+
+app.post('/correspondence/games', async (req, res) => {
+  try {
+    const { daysPerMove, color, variant, position, fen } = req.body || {};
+    const game = await createCorrespondenceGame({
+      userId: req.user.id,
+      daysPerMove,
+      color,
+      variant,
+      position,
+      fen,
+    });
+    return res.status(201).json({ game });
+  } catch (err) {
+    return sendCorrespondenceError(res, err);
+  }
+});
+
+app.get('/correspondence/games/:gameId', async (req, res) => {
+  try {
+    const game = await getCorrespondenceGame(req.params.gameId);
+    return res.json({ game });
+  } catch (err) {
+    return sendCorrespondenceError(res, err);
+  }
+});
+
+app.post('/correspondence/games/:gameId/join', async (req, res) => {
+  try {
+    const game = await joinCorrespondenceGame({ gameId: req.params.gameId, userId: req.user.id });
+    return res.json({ game });
+  } catch (err) {
+    return sendCorrespondenceError(res, err);
+  }
+});
+
+app.delete('/correspondence/games/:gameId', async (req, res) => {
+  try {
+    await cancelCorrespondenceGame({ gameId: req.params.gameId, userId: req.user.id });
+    return res.status(204).end();
+  } catch (err) {
+    return sendCorrespondenceError(res, err);
+  }
+});
+
+app.post('/correspondence/games/:gameId/moves', async (req, res) => {
+  try {
+    const { uci } = req.body || {};
+    const game = await playCorrespondenceMove({ gameId: req.params.gameId, userId: req.user.id, uci });
+    return res.json({ game });
+  } catch (err) {
+    return sendCorrespondenceError(res, err);
+  }
+});
+
+app.post('/correspondence/games/:gameId/resign', async (req, res) => {
+  try {
+    const game = await resignCorrespondenceGame({ gameId: req.params.gameId, userId: req.user.id });
+    return res.json({ game });
+  } catch (err) {
+    return sendCorrespondenceError(res, err);
+  }
+});
+
+const ANALYSIS_ERROR_STATUS = {
+  INVALID_PGN: 400,
+  PGN_UNAVAILABLE: 400,
+  JOB_NOT_FOUND: 404,
+  GAME_NOT_FOUND: 404,
+  ACCOUNT_REQUIRED: 401,
+  JOB_FINISHED: 409,
+  TOO_MANY_ANALYSIS_JOBS: 429,
+  ANALYSIS_QUEUE_FULL: 503,
+  OWNER_UNAVAILABLE: 503,
+};
+
+// Only the analysis service's own codes are client errors; database and system codes are not.
+function sendAnalysisError(res, err) {
+  const status = ANALYSIS_ERROR_STATUS[err?.code] || 500;
+  return res.status(status).json({ error: err.message || 'Analysis request failed', code: err?.code });
+}
+
+/** Analysis can be requested anonymously; signed-in requests are tied to the user. */
+async function createAnalysisJobHandler(req, res) {
+  try {
+    const {
+      pgn,
+      gameId,
+      depth,
+      movetime,
+      skillLevel,
+      timeoutMs,
+      multiPv,
+      maxPlies,
+      thresholds,
+      chess960,
+    } = req.body || {};
+    const { job, reused } = await createAnalysisJob({
+      userId: req.user?.id || null,
+      clientId: req.user?.id || req.ip,
+      gameId: gameId || null,
+      pgn,
+      depth,
+      movetime,
+      skillLevel,
+      timeoutMs,
+      multiPv,
+      maxPlies,
+      thresholds,
+      chess960,
+    });
+    return res.status(reused ? 200 : 202).json({ ok: true, jobId: job.id, reused, job });
+  } catch (err) {
+    return sendAnalysisError(res, err);
+  }
+}
+
+app.post('/analysis/jobs', optionalAuthenticate, createAnalysisJobHandler);
+app.post('/engines/stockfish/analyze', optionalAuthenticate, createAnalysisJobHandler);
+
+app.get('/analysis/jobs', authenticate, async (req, res) => {
+  try {
+    const { gameId, status, limit } = req.query;
+    const jobs = await listAnalysisJobs({ userId: req.user.id, gameId, status, limit });
+    return res.json({ jobs });
+  } catch (err) {
+    return sendAnalysisError(res, err);
+  }
+});
+
+app.get('/analysis/jobs/:jobId', optionalAuthenticate, async (req, res) => {
+  try {
+    const job = await getAnalysisJob({ jobId: req.params.jobId, userId: req.user?.id || null });
+    return res.json({ job });
+  } catch (err) {
+    return sendAnalysisError(res, err);
+  }
+});
+
+app.delete('/analysis/jobs/:jobId', optionalAuthenticate, async (req, res) => {
+  try {
+    const job = await cancelAnalysisJob({ jobId: req.params.jobId, userId: req.user?.id || null });
+    return res.json({ job });
+  } catch (err) {
+    return sendAnalysisError(res, err);
+  }
+});
+
+const TOURNAMENT_ERROR_STATUS = {
+  TOURNAMENT_NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+  NOT_JOINED: 409,
+  JOIN_CLOSED: 409,
+  TOURNAMENT_UNAVAILABLE: 503,
+  OWNER_UNAVAILABLE: 503,
+};
+
+function sendTournamentError(res, err) {
+  const status = err?.code ? TOURNAMENT_ERROR_STATUS[err.code] || 400 : 500;
+  return res.status(status).json({ error: err.message || 'Tournament request failed', code: err?.code });
+}
+
+app.get('/tournaments', async (req, res) => {
+  try {
+    const tournaments = await listTournaments({ status: req.query.status, limit: req.query.limit });
+    return res.json({ tournaments });
+  } catch (err) {
+    return sendTournamentError(res, err);
+  }
+});
+
+app.post('/tournaments', authenticate, async (req, res) => {
+  try {
+    const {
+      name,
+      format,
+      timeControl,
+      rated,
+      durationMinutes,
+      rounds,
+      startsAt,
+    } = req.body || {};
+    const tournament = await createTournament({
+      userId: req.user.id,
+      name,
+      format,
+      timeControl,
+      rated,
+      durationMinutes,
+      rounds,
+      startsAt,
+    });
+    return res.status(201).json({ tournament });
+  } catch (err) {
+    return sendTournamentError(res, err);
+  }
+});
+
+app.get('/tournaments/:tournamentId', async (req, res) => {
+  try {
+    const tournament = await getTournament(req.params.tournamentId);
+    return res.json({ tournament });
+  } catch (err) {
+    return sendTournamentError(res, err);
+  }
+});
+
+app.get('/tournaments/:tournamentId/standings', async (req, res) => {
+  try {
+    const standings = await getTournamentStandings(req.params.tournamentId);
+    return res.json({ standings });
+  } catch (err) {
+    return sendTournamentError(res, err);
+  }
+});
+
+app.post('/tournaments/:tournamentId/join', authenticate, async (req, res) => {
+  try {
+    const tournament = await runTournamentAction('join', { tournamentId: req.params.tournamentId, userId: req.user.id });
+    return res.json({ tournament });
+  } catch (err) {
+    return sendTournamentError(res, err);
+  }
+});
+
+app.post('/tournaments/:tournamentId/withdraw', authenticate, async (req, res) => {
+  try {
+    const tournament = await runTournamentAction('withdraw', { tournamentId: req.params.tournamentId, userId: req.user.id });
+    return res.json({ tournament });
+  } catch (err) {
+    return sendTournamentError(res, err);
+  }
+});
+
 app.use('/users/:id', authenticate);
 
 app.get('/users/:id', async (req, res) => {
@@ -273,6 +549,45 @@ app.get('/users/:id/history', async (req, res) => {
   }
 });
 
+app.get('/users/:id/ratings/history', async (req, res) => {
+  if (req.params.id !== req.user.id) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  try {
+    const { speed, limit } = req.query || {};
+    const history = await listRatingHistory(req.user.id, { speed, limit });
+    return res.json({ history });
+  } catch (err) {
+    const status = err?.message?.startsWith('Unknown rating speed') ? 400 : 500;
+    return res.status(status).json({ error: err.message || 'Unable to fetch rating history' });
+  }
+});
+
+app.get('/users/:id/correspondence', async (req, res) => {
+  if (req.params.id !== req.user.id) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  try {
+    const { status, limit } = req.query || {};
+    const games = await listCorrespondenceGames(req.user.id, { status, limit });
+    return res.json({ games });
+  } catch (err) {
+    return sendCorrespondenceError(res, err);
+  }
+});
+
+app.get('/users/:id/correspondence/my-turn', async (req, res) => {
+  if (req.params.id !== req.user.id) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  try {
+    const games = await listMyTurnGames(req.user.id, { limit: req.query?.limit });
+    return res.json({ games });
+  } catch (err) {
+    return sendCorrespondenceError(res, err);
+  }
+});
+
 app.post('/users/:id/history', async (req, res) => {
   if (req.params.id !== req.user.id) {
     return res.status(403).json({ error: 'Forbidden' });
@@ -325,6 +640,34 @@ server.listen(PORT, () => {
   /* eslint-enable no-console */
 });
 
-initOnlinePlayServer(server);
+const wss = initOnlinePlayServer(server);
+// Correspondence games only exist in Postgres; without one there is nothing to sweep.
+if (config.dbUrl) {
+  startCorrespondenceSweeper({ intervalMs: config.correspondenceSweepIntervalMs });
+}
+// Tournaments are stored in Postgres too; each one is driven by the instance that owns it.
+if (config.dbUrl) {
+  startTournamentScheduler({
+    intervalMs: config.tournamentTickIntervalMs,
+    isGameLive: isOnlineGameLive,
+    ownership: tournamentOwnership,
+  });
+}
+
+const SHUTDOWN_GRACE_MS = 5000;
+
+// Engine workers are child processes; stop them with the server instead of orphaning them.
+function shutdown(signal) {
+  /* eslint-disable no-console */
+  console.log(`Received ${signal}, shutting down`);
+  /* eslint-enable no-console */
+  wss.clients.forEach((client) => client.terminate());
+  wss.close();
+  stockfishService.shutdownEnginePool();
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), SHUTDOWN_GRACE_MS).unref();
+}
+
+['SIGTERM', 'SIGINT'].forEach((signal) => process.once(signal, () => shutdown(signal)));
 
 module.exports = { app, server };
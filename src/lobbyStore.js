@@ -0,0 +1,77 @@
+const { query } = require('./db');
+
+let schemaReady = null;
+const writeChains = new Map(); // gameId -> promise of the last queued write
+
+function ensureLobbySchema() {
+  if (!schemaReady) {
+    schemaReady = query(
+      `CREATE TABLE IF NOT EXISTS online_lobbies (
+        game_id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        state_json JSONB NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`
+    ).catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+/**
+ * Writes for the same lobby are chained so that a slow upsert can never land
+ * after a later one (or after the delete issued when the game finishes).
+ */
+function enqueueWrite(gameId, write) {
+  const previous = writeChains.get(gameId) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      await ensureLobbySchema();
+      return write();
+    });
+  writeChains.set(gameId, next);
+  next.finally(() => {
+    if (writeChains.get(gameId) === next) writeChains.delete(gameId);
+  }).catch(() => {});
+  return next;
+}
+
+function saveLobbySnapshot(snapshot) {
+  if (!snapshot || !snapshot.gameId) {
+    return Promise.reject(new Error('gameId is required to save a lobby'));
+  }
+  return enqueueWrite(snapshot.gameId, () => query(
+    `INSERT INTO online_lobbies (game_id, status, state_json, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (game_id)
+     DO UPDATE SET status = EXCLUDED.status, state_json = EXCLUDED.state_json, updated_at = NOW()`,
+    [snapshot.gameId, snapshot.status, JSON.stringify(snapshot)]
+  ));
+}
+
+function deleteLobbySnapshot(gameId) {
+  if (!gameId) return Promise.resolve();
+  return enqueueWrite(gameId, () => query('DELETE FROM online_lobbies WHERE game_id = $1', [gameId]));
+}
+
+async function listLobbySnapshots() {
+  await ensureLobbySchema();
+  const result = await query(
+    `SELECT state_json
+     FROM online_lobbies
+     WHERE status IN ('waiting', 'active')
+     ORDER BY updated_at ASC`
+  );
+  return result.rows.map((row) => (
+    typeof row.state_json === 'string' ? JSON.parse(row.state_json) : row.state_json
+  ));
+}
+
+module.exports = {
+  saveLobbySnapshot,
+  deleteLobbySnapshot,
+  listLobbySnapshots,
+};
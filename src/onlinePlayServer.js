@@ -1,13 +1,114 @@
+const crypto = require('crypto');
 const { WebSocketServer } = require('ws');
-const { Chess } = require('chess.js');
 const { v4: uuidv4 } = require('uuid');
+const { defaultChatFilter } = require('./chatFilter');
+const seekPool = require('./seekPool');
+const { recordCompletedGame } = require('./gameStore');
+const ratingService = require('./ratingService');
+const { verifyAccessToken, parseAuthorizationHeader } = require('./authService');
+const { findUserById, findUserByUsername } = require('./userService');
+const lobbyStore = require('./lobbyStore');
+const { INSTANCE_STALE_MS, createInProcessAdapter, createPostgresAdapter } = require('./clusterAdapter');
+const { pool } = require('./db');
+const stockfishService = require('./stockfishService');
+const correspondenceService = require('./correspondenceService');
+const abandonmentService = require('./abandonmentService');
+const tournamentService = require('./tournamentService');
+const analysisJobService = require('./analysisJobService');
+const { STANDARD_VARIANT, parseVariant, createVariantGame, isChess960 } = require('./variants');
+const { parseTimeControl } = require('./timeControl');
+const {
+  FIFTY_MOVE_HALFMOVES,
+  getOpponentColor,
+  getTurnColor,
+  hasMatingMaterial,
+  getWinnerColor,
+  uciToMoveInput,
+  parseMoveInput,
+  moveToUci,
+  countCurrentPositionRepetitions,
+  getHalfmoveClock,
+  determineGameOutcome,
+} = require('./gameRules');
+const config = require('./config');
 
 const LOBBIES = new Map(); // gameId -> lobby
 const PLAYERS = new Map(); // playerId -> player
+const REMATCHES = new Map(); // finished gameId -> rematch window
+const CONNECTIONS = new Map(); // connectionId -> local socket
+const REMOTE_SOCKETS = new Map(); // "instanceId:connectionId" -> proxy for a socket on another instance
+const CHALLENGES = new Map(); // challengeId -> pending direct challenge
+const LOBBY_SUBSCRIBERS = new Set(); // sockets following the open lobby list
+const OPEN_LOBBY_IDS = new Set(); // public lobbies subscribers have been told about
+const TOURNAMENT_SUBSCRIBERS = new Map(); // tournamentId -> sockets following it
+const ANALYSIS_SUBSCRIBERS = new Map(); // analysis jobId -> sockets following its progress
+const ENGINE_SESSIONS = new Map(); // socket -> live engine analysis session
 
 const GAME_ID_LENGTH = 8;
 const PING_INTERVAL_MS = 30_000;
 const PONG_GRACE_MS = 10_000;
+const CHAT_MAX_LENGTH = 280;
+const CHAT_HISTORY_LIMIT = 50;
+const CHAT_RATE_WINDOW_MS = 10_000;
+const CHAT_RATE_MAX_MESSAGES = 5;
+const CHAT_CHANNELS = ['game', 'spectator'];
+const REMATCH_WINDOW_MS = 30_000;
+const SEEK_TICK_MS = 2_000;
+const DISCONNECT_TIMEOUT_MS = 60_000;
+const ENGINE_DEFAULT_MOVETIME_MS = 1000;
+const ENGINE_MIN_MOVETIME_MS = 100;
+const ENGINE_MAX_MOVETIME_MS = 10_000;
+const ENGINE_MAX_ATTEMPTS = 2;
+const CHALLENGE_TTL_MS = 60_000;
+const FIRST_MOVE_TIMEOUT_MS = 30_000;
+// Abort causes that count against the player; a voluntary abort does not.
+const ABANDONMENT_REASONS = new Set(['first_move_timeout', 'left', 'disconnect_timeout']);
+const ENGINE_SESSION_IDLE_MS = 120_000;
+// Extra wait before re-checking lobbies whose owner looked alive at boot.
+const HEARTBEAT_GRACE_MS = 5_000;
+// Infinite (or very deep) searches are stopped after this long unless the client asks again.
+const ENGINE_SESSION_MAX_SEARCH_MS = 5 * 60_000;
+// How long a tournament pairing waits for an offline or busy player before
+// forfeiting; kept under the tournament scheduler's orphaned-pairing grace.
+const TOURNAMENT_ABSENT_GRACE_MS = 30_000;
+const TOURNAMENT_PRESENCE_POLL_MS = 2_000;
+// How long an instance waits for another instance to answer a relayed request.
+const CLUSTER_REQUEST_TIMEOUT_MS = 10_000;
+
+let lobbyPersistence = config.persistLobbies;
+let cluster = createInProcessAdapter({ instanceId: config.instanceId || undefined });
+
+// Message types that act on an existing lobby and must run on its owner.
+const LOBBY_SCOPED_TYPES = new Set([
+  'join',
+  'move',
+  'premove',
+  'cancel_premove',
+  'resign',
+  'abort',
+  'draw_offer',
+  'draw_accept',
+  'draw_decline',
+  'draw_claim',
+  'takeback_request',
+  'takeback_accept',
+  'takeback_decline',
+  'watch',
+  'unwatch',
+  'chat',
+  'chat_mute',
+  'rematch_offer',
+  'rematch_accept',
+  'rematch_decline',
+  'leave',
+]);
+// Tournament and analysis updates are published by the instance running them.
+const TOURNAMENT_SCOPED_TYPES = new Set(['tournament_subscribe', 'tournament_unsubscribe']);
+const ANALYSIS_SCOPED_TYPES = new Set(['analysis_subscribe', 'analysis_unsubscribe']);
+const PENDING_CLUSTER_REQUESTS = new Map(); // requestId -> { resolve, reject, timer }
+let lobbiesRestored = Promise.resolve();
+
+let chatFilter = defaultChatFilter;
 
 function createLogger(prefix) {
   return {
@@ -46,12 +147,52 @@ function sendToPlayer(player, payload) {
   safeSend(player.ws, payload);
 }
 
-function broadcastToLobby(lobby, payload, { excludePlayerId = undefined } = {}) {
+// Spectators never learn a seat's playerId; it is what a player resumes their seat with.
+function toSpectatorPayload(payload) {
+  const { playerId, ...rest } = payload;
+  return rest;
+}
+
+function broadcastToSpectators(lobby, payload) {
+  if (!lobby || !lobby.spectators) return;
+  const spectatorPayload = toSpectatorPayload(payload);
+  lobby.spectators.forEach((spectatorWs) => safeSend(spectatorWs, spectatorPayload));
+}
+
+function broadcastToLobby(lobby, payload, { excludePlayerId = undefined, includeSpectators = false } = {}) {
   if (!lobby) return;
   [lobby.host, lobby.guest]
     .filter(Boolean)
     .filter((player) => excludePlayerId === undefined || player.playerId !== excludePlayerId)
     .forEach((player) => sendToPlayer(player, payload));
+  if (includeSpectators) {
+    broadcastToSpectators(lobby, payload);
+  }
+}
+
+/**
+ * Derived from the playerId with the key every instance shares, so any
+ * instance can check a claim to a seat owned by another one.
+ */
+function createReconnectSecret(playerId) {
+  return crypto.createHmac('sha256', config.jwtSecret).update(`reconnect:${playerId}`).digest('hex');
+}
+
+function matchesReconnectSecret(playerId, secret) {
+  if (!playerId || typeof secret !== 'string') return false;
+  const expected = Buffer.from(createReconnectSecret(playerId));
+  const given = Buffer.from(secret);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * A seat is resumed with the secret handed out in its `hello`, or by the
+ * account it belongs to. A bare playerId is never enough.
+ */
+function canResumePlayer(player, secret, user) {
+  if (player.isEngine) return false;
+  if (player.userId && user && user.id === player.userId) return true;
+  return matchesReconnectSecret(player.playerId, secret);
 }
 
 function getPlayerName(player) {
@@ -59,16 +200,101 @@ function getPlayerName(player) {
   return player.username || `Player-${player.playerId.slice(0, 4).toUpperCase()}`;
 }
 
-function getOpponentColor(color) {
-  return color === 'white' ? 'black' : 'white';
+function getSeatedPlayer(lobby, color) {
+  return [lobby.host, lobby.guest].find((player) => player && player.color === color) || null;
+}
+
+function describeSeat(lobby, color) {
+  const player = getSeatedPlayer(lobby, color);
+  return {
+    name: getPlayerName(player),
+    guest: player ? !!player.isGuest : null,
+    engine: player ? !!player.isEngine : null,
+  };
+}
+
+function createClock(timeControl) {
+  if (!timeControl) return null;
+  return {
+    white: timeControl.baseMs,
+    black: timeControl.baseMs,
+    running: null,
+    turnStartedAt: null,
+    flagTimer: null,
+  };
+}
+
+function getRemainingMs(clock, color, now = Date.now()) {
+  const stored = clock[color];
+  if (clock.running !== color || !clock.turnStartedAt) return stored;
+  return Math.max(0, stored - (now - clock.turnStartedAt));
+}
+
+function getClockSnapshot(lobby) {
+  const { clock } = lobby;
+  if (!clock) return null;
+  const now = Date.now();
+  return {
+    white: getRemainingMs(clock, 'white', now),
+    black: getRemainingMs(clock, 'black', now),
+    running: clock.running,
+    incrementMs: lobby.timeControl.incrementMs,
+  };
+}
+
+function stopClock(lobby) {
+  const { clock } = lobby;
+  if (!clock) return;
+  if (clock.running) {
+    clock[clock.running] = getRemainingMs(clock, clock.running);
+  }
+  clock.running = null;
+  clock.turnStartedAt = null;
+  if (clock.flagTimer) {
+    clearTimeout(clock.flagTimer);
+    clock.flagTimer = null;
+  }
+}
+
+function runClock(lobby, color) {
+  const { clock } = lobby;
+  if (!clock) return;
+  if (clock.flagTimer) clearTimeout(clock.flagTimer);
+  clock.running = color;
+  clock.turnStartedAt = Date.now();
+  clock.flagTimer = setTimeout(() => handleFlagFall(lobby, color), clock[color]);
 }
 
-function createLobby(host, preferredColor) {
+/**
+ * A side that is down to a bare king, or king plus a single minor piece, can
+ * never deliver mate, so losing on time to it is scored as a draw.
+ */
+function handleFlagFall(lobby, color) {
+  if (!lobby || lobby.status !== 'active' || !lobby.clock) return;
+  lobby.clock[color] = 0;
+  const winner = getOpponentColor(color);
+  if (!hasMatingMaterial(lobby.chess, winner)) {
+    finalizeGame(lobby, '1/2-1/2', 'timeout_vs_insufficient_material');
+    return;
+  }
+  finalizeGame(lobby, winner === 'white' ? '1-0' : '0-1', 'timeout');
+}
+
+function createLobby(host, {
+  color: preferredColor,
+  timeControl = null,
+  rated = false,
+  allowTakebacks = true,
+  variant = STANDARD_VARIANT,
+  isPublic = false,
+  ratingRange = null,
+  hostRating = null,
+} = {}) {
   const color = ['white', 'black'].includes(preferredColor)
     ? preferredColor
     : (Math.random() < 0.5 ? 'white' : 'black');
   const gameId = generateGameId();
-  const chess = new Chess();
+  const chess = createVariantGame(variant);
 
   const lobby = {
     gameId,
@@ -78,6 +304,27 @@ function createLobby(host, preferredColor) {
     chess,
     status: 'waiting',
     moves: [],
+    variant,
+    timeControl,
+    clock: null,
+    speed: ratingService.getSpeedForTimeControl(timeControl),
+    public: !!isPublic,
+    colorPreference: ['white', 'black'].includes(preferredColor) ? preferredColor : 'random',
+    ratingRange,
+    hostRating,
+    rated: !!rated,
+    ratingSnapshot: null,
+    ratingChanges: null,
+    // Rated games never allow takebacks, whatever the host asked for.
+    allowTakebacks: !rated && allowTakebacks !== false,
+    drawOffer: null,
+    takebackRequest: null,
+    premove: null,
+    firstMoveTimer: null,
+    tournament: null,
+    spectators: new Set(),
+    chat: { game: [], spectator: [] },
+    chatMutes: new Set(), // playerIds that muted their opponent
   };
 
   host.gameId = gameId;
@@ -86,39 +333,220 @@ function createLobby(host, preferredColor) {
     type: 'created',
     gameId,
     color,
+    variant,
+    timeControl: timeControl ? timeControl.label : null,
+    rated: lobby.rated,
+    allowTakebacks: lobby.allowTakebacks,
+    public: lobby.public,
+    ratingRange,
   });
 
   LOBBIES.set(gameId, lobby);
+  persistLobby(lobby);
+  claimLobby(gameId);
+  syncOpenLobby(lobby);
   log.info('Lobby created', { gameId, host: host.playerId, color });
   return lobby;
 }
 
-function startGame(lobby) {
+function serializePlayer(player) {
+  if (!player) return null;
+  return {
+    playerId: player.playerId,
+    userId: player.userId || null,
+    username: player.username || null,
+    isGuest: !!player.isGuest,
+    isEngine: !!player.isEngine,
+    engine: player.engine || null,
+    color: player.color,
+  };
+}
+
+function serializeLobby(lobby) {
+  const { clock } = lobby;
+  return {
+    gameId: lobby.gameId,
+    createdAt: lobby.createdAt,
+    startedAt: lobby.startedAt || null,
+    status: lobby.status,
+    host: serializePlayer(lobby.host),
+    guest: serializePlayer(lobby.guest),
+    moves: lobby.moves,
+    variant: lobby.variant,
+    public: lobby.public,
+    colorPreference: lobby.colorPreference,
+    ratingRange: lobby.ratingRange,
+    hostRating: lobby.hostRating,
+    timeControl: lobby.timeControl,
+    clock: clock
+      ? { white: getRemainingMs(clock, 'white'), black: getRemainingMs(clock, 'black') }
+      : null,
+    rated: lobby.rated,
+    ratingSnapshot: lobby.ratingSnapshot,
+    allowTakebacks: lobby.allowTakebacks,
+    drawOffer: lobby.drawOffer,
+    tournament: lobby.tournament,
+    chat: lobby.chat,
+    chatMutes: Array.from(lobby.chatMutes),
+  };
+}
+
+/**
+ * Mirrors the lobby into the durable store after every mutation. Writes are
+ * fire-and-forget: a database hiccup must not stall or break live play.
+ */
+function persistLobby(lobby) {
+  if (!lobbyPersistence || !lobby) return;
+  lobbyStore.saveLobbySnapshot(serializeLobby(lobby)).catch((err) => {
+    log.error('Failed to persist lobby', { gameId: lobby.gameId, error: err?.message || err });
+  });
+}
+
+function claimLobby(gameId) {
+  cluster.claimLobby(gameId).then((claimed) => {
+    if (!claimed) log.warn('Lobby is owned by another instance', { gameId });
+  }).catch((err) => {
+    log.error('Failed to claim lobby ownership', { gameId, error: err?.message || err });
+  });
+}
+
+function releaseLobby(gameId) {
+  cluster.releaseLobby(gameId).catch((err) => {
+    log.error('Failed to release lobby ownership', { gameId, error: err?.message || err });
+  });
+}
+
+function forgetLobby(gameId) {
+  if (!lobbyPersistence) return;
+  lobbyStore.deleteLobbySnapshot(gameId).catch((err) => {
+    log.error('Failed to delete persisted lobby', { gameId, error: err?.message || err });
+  });
+}
+
+function createEnginePlayer({ skillLevel, movetime } = {}) {
+  const level = Number.isFinite(Number(skillLevel))
+    ? Math.min(20, Math.max(0, Math.round(Number(skillLevel))))
+    : 10;
+  const requestedMovetime = Number(movetime);
+  return {
+    playerId: `engine-${uuidv4()}`,
+    ws: null,
+    userId: null,
+    username: `Stockfish (level ${level})`,
+    isGuest: false,
+    isEngine: true,
+    engine: {
+      skillLevel: level,
+      movetime: Number.isFinite(requestedMovetime)
+        ? Math.min(ENGINE_MAX_MOVETIME_MS, Math.max(ENGINE_MIN_MOVETIME_MS, Math.round(requestedMovetime)))
+        : ENGINE_DEFAULT_MOVETIME_MS,
+    },
+    createdAt: new Date().toISOString(),
+    gameId: null,
+    color: null,
+    disconnectTimer: null,
+  };
+}
+
+/**
+ * Asks Stockfish for a move when it is the engine's turn and plays it through
+ * applyMove, exactly like a human move. Results that arrive after the position
+ * changed (takeback, game over) are discarded.
+ */
+function requestEngineMoveIfDue(lobby, attempt = 1) {
+  if (!lobby || lobby.status !== 'active') return;
+  const engine = getSeatedPlayer(lobby, getTurnColor(lobby.chess));
+  if (!engine || !engine.isEngine) return;
+
+  const plyAtRequest = lobby.moves.length;
+  const fen = lobby.chess.fen();
+  let { movetime } = engine.engine;
+  if (lobby.clock) {
+    // Never let the engine flag: think at most a twentieth of its remaining time.
+    const remaining = getRemainingMs(lobby.clock, engine.color);
+    movetime = Math.max(ENGINE_MIN_MOVETIME_MS, Math.min(movetime, Math.floor(remaining / 20)));
+  }
+
+  stockfishService.getBestMove({
+    fen,
+    movetime,
+    skillLevel: engine.engine.skillLevel,
+    chess960: isChess960(lobby.variant),
+    timeoutMs: movetime + 5000,
+  })
+    .then(({ bestMove }) => {
+      if (LOBBIES.get(lobby.gameId) !== lobby || lobby.status !== 'active') return;
+      if (lobby.moves.length !== plyAtRequest || lobby.chess.fen() !== fen) return;
+      const outcome = bestMove ? applyMove(lobby, engine, bestMove) : { error: { msg: 'No move returned' } };
+      if (outcome.error) throw new Error(outcome.error.msg);
+    })
+    .catch((err) => {
+      log.error('Engine move failed', { gameId: lobby.gameId, attempt, error: err?.message || err });
+      if (LOBBIES.get(lobby.gameId) !== lobby || lobby.status !== 'active') return;
+      if (attempt < ENGINE_MAX_ATTEMPTS) {
+        requestEngineMoveIfDue(lobby, attempt + 1);
+      } else {
+        finalizeGame(lobby, '*', 'engine_failure');
+      }
+    });
+}
+
+async function startGame(lobby) {
   if (!lobby || !lobby.host || !lobby.guest) return;
+  if (lobby.rated && !lobby.ratingSnapshot) {
+    // Ratings are read before anyone can move, so even an instant resign is rated.
+    const loaded = await loadRatingSnapshot(lobby);
+    if (LOBBIES.get(lobby.gameId) !== lobby || lobby.status !== 'waiting' || !lobby.host || !lobby.guest) return;
+    if (!loaded) {
+      // Both players asked for a rated game; never turn it into a casual one behind their backs.
+      const players = [lobby.guest, lobby.host];
+      players.forEach((player) => sendToPlayer(player, {
+        type: 'error',
+        code: 'RATINGS_UNAVAILABLE',
+        gameId: lobby.gameId,
+        msg: 'Ratings could not be loaded, so the rated game was cancelled; try again shortly',
+      }));
+      players.forEach(removePlayerFromLobby);
+      log.warn('Ratings unavailable; rated game cancelled', { gameId: lobby.gameId });
+      return;
+    }
+  }
   lobby.status = 'active';
-  lobby.chess.reset();
+  lobby.startedAt = new Date().toISOString();
+  syncOpenLobby(lobby);
+  lobby.chess = createVariantGame(lobby.variant);
   lobby.moves.length = 0;
+  lobby.drawOffer = null;
+  lobby.takebackRequest = null;
+  lobby.premove = null;
 
   const fen = lobby.chess.fen();
-  const turn = lobby.chess.turn() === 'w' ? 'white' : 'black';
+  const turn = getTurnColor(lobby.chess);
+
+  lobby.clock = createClock(lobby.timeControl);
+  runClock(lobby, turn);
 
   const payload = {
     type: 'start',
     gameId: lobby.gameId,
     fen,
     turn,
-    white: {
-      playerId: lobby.host.color === 'white' ? lobby.host.playerId : lobby.guest.playerId,
-      name: lobby.host.color === 'white' ? getPlayerName(lobby.host) : getPlayerName(lobby.guest),
-    },
-    black: {
-      playerId: lobby.host.color === 'black' ? lobby.host.playerId : lobby.guest.playerId,
-      name: lobby.host.color === 'black' ? getPlayerName(lobby.host) : getPlayerName(lobby.guest),
-    },
+    variant: lobby.variant,
+    timeControl: lobby.timeControl ? lobby.timeControl.label : null,
+    clock: getClockSnapshot(lobby),
+    rated: lobby.rated,
+    allowTakebacks: lobby.allowTakebacks,
+    tournament: lobby.tournament,
+    white: describeSeat(lobby, 'white'),
+    black: describeSeat(lobby, 'black'),
+    spectators: lobby.spectators.size,
   };
 
   sendToPlayer(lobby.host, { ...payload, color: lobby.host.color });
   sendToPlayer(lobby.guest, { ...payload, color: lobby.guest.color });
+  persistLobby(lobby);
+  scheduleFirstMoveTimeout(lobby);
+  requestEngineMoveIfDue(lobby);
 
   log.info('Game started', { gameId: lobby.gameId });
 }
@@ -131,15 +559,41 @@ function finalizeGame(lobby, result, reason) {
   lobby.completedAt = new Date().toISOString();
   lobby.result = result;
   lobby.resultReason = reason;
+  stopClock(lobby);
+  clearFirstMoveTimeout(lobby);
+  lobby.ratingChanges = reason === 'aborted' ? null : applyRatingChanges(lobby);
 
   broadcastToLobby(lobby, {
     type: 'game_over',
     gameId: lobby.gameId,
     result,
     reason,
+    clock: getClockSnapshot(lobby),
+    ratings: lobby.ratingChanges,
+    tournament: lobby.tournament,
+  }, { includeSpectators: true });
+
+  lobby.spectators.forEach((spectatorWs) => {
+    spectatorWs.__watchingGameId = null;
   });
+  lobby.spectators.clear();
 
   const participants = [lobby.host, lobby.guest].filter(Boolean);
+  persistFinishedGame(lobby);
+  if (lobby.tournament) {
+    updateTournamentPairing('record_result', {
+      tournamentId: lobby.tournament.id,
+      pairingId: lobby.tournament.pairingId,
+      result,
+      reason,
+    });
+  }
+  if (reason !== 'aborted' && !lobby.tournament && participants.length === 2
+    && !participants.some((player) => player.isEngine)) {
+    openRematchWindow(lobby);
+  } else {
+    releaseLobby(lobby.gameId);
+  }
   participants.forEach((player) => {
     player.gameId = null;
     player.color = null;
@@ -152,10 +606,197 @@ function finalizeGame(lobby, result, reason) {
   lobby.host = null;
   lobby.guest = null;
   LOBBIES.delete(lobby.gameId);
+  forgetLobby(lobby.gameId);
+  syncOpenLobby(lobby);
 
   log.info('Game completed', { gameId: lobby.gameId, result, reason });
 }
 
+/**
+ * Rated games fetch both players' current ratings for the game's speed
+ * before they start, so the Glicko-2 update can be computed synchronously in
+ * finalizeGame and sent with game_over. Resolves to false when the ratings
+ * could not be read, in which case the game must not start as rated.
+ */
+async function loadRatingSnapshot(lobby) {
+  try {
+    const [white, black] = await Promise.all(['white', 'black'].map((color) => (
+      ratingService.getSpeedRating(getSeatedPlayer(lobby, color)?.userId, lobby.speed)
+    )));
+    lobby.ratingSnapshot = { white, black };
+    return true;
+  } catch (err) {
+    log.error('Failed to load ratings', { gameId: lobby.gameId, error: err?.message || err });
+    return false;
+  }
+}
+
+function applyRatingChanges(lobby) {
+  if (!lobby.rated) return null;
+  if (!lobby.ratingSnapshot) {
+    log.warn('Rated game finished without a rating snapshot', { gameId: lobby.gameId });
+    return null;
+  }
+  const updates = ratingService.computeRatingUpdates({
+    ...lobby.ratingSnapshot,
+    result: lobby.result,
+  });
+  if (!updates) return null;
+
+  const summarize = (rated) => ({
+    speed: lobby.speed,
+    white: ratingService.summarizeRatingUpdate(rated.white),
+    black: ratingService.summarizeRatingUpdate(rated.black),
+  });
+  const participants = [lobby.host, lobby.guest].filter(Boolean);
+  // The stored update is recomputed from the locked rows, which differ from the
+  // snapshot when a player finished another rated game meanwhile.
+  lobby.ratingsSaved = ratingService.saveGameRatings({
+    whiteUserId: getSeatedPlayer(lobby, 'white')?.userId,
+    blackUserId: getSeatedPlayer(lobby, 'black')?.userId,
+    speed: lobby.speed,
+    gameId: lobby.gameId,
+    result: lobby.result,
+  }).then((saved) => {
+    if (!saved) return lobby.ratingChanges;
+    const summary = summarize(saved);
+    if (JSON.stringify(summary) !== JSON.stringify(lobby.ratingChanges)) {
+      lobby.ratingChanges = summary;
+      participants.forEach((player) => sendToPlayer(player, { type: 'ratings', gameId: lobby.gameId, ratings: summary }));
+    }
+    return summary;
+  }).catch((err) => {
+    log.error('Failed to save rating update', { gameId: lobby.gameId, error: err?.message || err });
+    return lobby.ratingChanges;
+  });
+  return summarize(updates);
+}
+
+function formatPgnDate(isoString) {
+  return (isoString || new Date().toISOString()).slice(0, 10).replace(/-/g, '.');
+}
+
+function buildPgn(lobby) {
+  const pgnGame = createVariantGame(lobby.variant);
+  pgnGame.setHeader('Event', lobby.rated ? 'Rated online game' : 'Casual online game');
+  pgnGame.setHeader('Site', 'ChessMaster');
+  pgnGame.setHeader('Date', formatPgnDate(lobby.startedAt));
+  pgnGame.setHeader('White', describeSeat(lobby, 'white').name || '?');
+  pgnGame.setHeader('Black', describeSeat(lobby, 'black').name || '?');
+  pgnGame.setHeader('Result', lobby.result || '*');
+  if (lobby.timeControl) {
+    pgnGame.setHeader('TimeControl', `${lobby.timeControl.baseMs / 1000}+${lobby.timeControl.incrementMs / 1000}`);
+  }
+  pgnGame.setHeader('Termination', lobby.resultReason || 'unknown');
+  if (lobby.variant.name === 'fromPosition') {
+    pgnGame.setHeader('Variant', 'From Position');
+  }
+  lobby.chess.history({ verbose: true }).forEach((move) => {
+    pgnGame.move({ from: move.from, to: move.to, promotion: move.promotion });
+  });
+  return pgnGame.pgn();
+}
+
+/**
+ * Writes one `games` row per authenticated participant so that the game shows
+ * up in each player's /users/:id/history. Runs in the background; failures are
+ * logged and never affect the live game flow.
+ */
+function persistFinishedGame(lobby) {
+  const seats = ['white', 'black'].map((color) => {
+    const player = getSeatedPlayer(lobby, color);
+    return {
+      color,
+      playerId: player ? player.playerId : null,
+      userId: player ? player.userId || null : null,
+      name: getPlayerName(player),
+    };
+  });
+  const recipients = seats.filter((seat) => seat.userId);
+  if (!recipients.length) return Promise.resolve();
+
+  let pgn = null;
+  try {
+    pgn = buildPgn(lobby);
+  } catch (err) {
+    log.warn('Failed to build PGN', { gameId: lobby.gameId, error: err?.message || err });
+  }
+
+  const playersJson = JSON.stringify({
+    white: seats[0],
+    black: seats[1],
+  });
+  const movesJson = JSON.stringify(lobby.moves);
+  const winner = getWinnerColor(lobby.result);
+
+  // History rows carry the ratings as stored, once the rating transaction is done.
+  const ratingsReady = Promise.resolve(lobby.ratingsSaved || lobby.ratingChanges);
+  return ratingsReady.then((ratings) => Promise.all(recipients.map((seat) => recordCompletedGame({
+    userId: seat.userId,
+    playersJson,
+    movesJson,
+    result: lobby.result,
+    reason: lobby.resultReason,
+    metadataJson: JSON.stringify({
+      source: 'online',
+      gameId: lobby.gameId,
+      color: seat.color,
+      rated: lobby.rated && lobby.resultReason !== 'aborted',
+      speed: lobby.speed,
+      variant: lobby.variant,
+      ratings,
+      tournament: lobby.tournament,
+      timeControl: lobby.timeControl ? lobby.timeControl.label : null,
+      pgn,
+    }),
+    startedAt: lobby.startedAt || lobby.createdAt,
+    finishedAt: lobby.completedAt,
+    winner,
+  })))).catch((err) => {
+    log.error('Failed to persist finished game', { gameId: lobby.gameId, error: err?.message || err });
+  });
+}
+
+/**
+ * Keeps just enough of a finished lobby around for REMATCH_WINDOW_MS so the
+ * two players can start a new game with swapped colors and the same settings.
+ */
+function openRematchWindow(lobby) {
+  const rematch = {
+    gameId: lobby.gameId,
+    colors: {
+      [lobby.host.playerId]: lobby.host.color,
+      [lobby.guest.playerId]: lobby.guest.color,
+    },
+    hostPlayerId: lobby.host.playerId,
+    settings: {
+      timeControl: lobby.timeControl,
+      rated: lobby.rated,
+      allowTakebacks: lobby.allowTakebacks,
+      variant: lobby.variant,
+    },
+    offeredBy: null,
+    expiresAt: Date.now() + REMATCH_WINDOW_MS,
+    timer: null,
+  };
+  rematch.timer = setTimeout(() => closeRematchWindow(rematch, 'expired'), REMATCH_WINDOW_MS);
+  REMATCHES.set(lobby.gameId, rematch);
+}
+
+function closeRematchWindow(rematch, reason) {
+  if (!rematch || REMATCHES.get(rematch.gameId) !== rematch) return;
+  clearTimeout(rematch.timer);
+  REMATCHES.delete(rematch.gameId);
+  releaseLobby(rematch.gameId);
+  if (rematch.offeredBy && reason !== 'accepted') {
+    Object.keys(rematch.colors).forEach((playerId) => sendToPlayer(PLAYERS.get(playerId), {
+      type: 'rematch_cancelled',
+      gameId: rematch.gameId,
+      reason,
+    }));
+  }
+}
+
 function removePlayerFromLobby(player) {
   if (!player || !player.gameId) return;
   const lobby = LOBBIES.get(player.gameId);
@@ -185,18 +826,61 @@ function removePlayerFromLobby(player) {
 
   if (!lobby.host && !lobby.guest) {
     LOBBIES.delete(lobby.gameId);
+    forgetLobby(lobby.gameId);
+    releaseLobby(lobby.gameId);
     log.info('Lobby removed (empty)', { gameId: lobby.gameId });
   } else {
     lobby.status = 'waiting';
+    persistLobby(lobby);
   }
+  syncOpenLobby(lobby);
 }
 
-function handleHello(ws, payload = {}) {
-  const { playerId: requestedPlayerId, userId, username, gameId } = payload;
+function extractUpgradeToken(req) {
+  if (!req) return null;
+  try {
+    const url = new URL(req.url, 'http://localhost');
+    const fromQuery = url.searchParams.get('token');
+    if (fromQuery) return fromQuery;
+  } catch (err) {
+    // Fall through to the Authorization header.
+  }
+  return parseAuthorizationHeader(req.headers?.authorization);
+}
+
+/**
+ * Resolves the account behind an access token, taken from the hello payload
+ * or, failing that, from the /ws upgrade request. Returns null for guests and
+ * throws when a token is present but invalid or its user no longer exists.
+ */
+async function authenticateSocket(ws, token) {
+  const claims = token ? verifyAccessToken(token) : ws.__auth;
+  if (!claims || !claims.sub) return null;
+  const user = await findUserById(claims.sub);
+  if (!user) throw new Error('Account not found');
+  return user;
+}
+
+async function handleHello(ws, payload = {}) {
+  const { playerId: requestedPlayerId, secret, username, gameId } = payload;
+
+  let user = null;
+  try {
+    user = await authenticateSocket(ws, payload.token);
+  } catch (err) {
+    safeSend(ws, { type: 'error', code: 'INVALID_TOKEN', msg: err.message || 'Invalid access token' });
+    return;
+  }
+
+  const remoteOwner = gameId && !LOBBIES.has(gameId) ? await findRemoteOwner(gameId) : null;
 
   let player = null;
   if (requestedPlayerId && PLAYERS.has(requestedPlayerId)) {
     player = PLAYERS.get(requestedPlayerId);
+    if (!canResumePlayer(player, secret, user)) {
+      safeSend(ws, { type: 'error', code: 'PLAYER_MISMATCH', msg: 'Cannot resume this player' });
+      return;
+    }
     player.ws = ws;
     player.lastPongAt = Date.now();
     player.awaitingPong = false;
@@ -204,17 +888,21 @@ function handleHello(ws, payload = {}) {
       clearTimeout(player.disconnectTimer);
       player.disconnectTimer = null;
     }
-    if (username) player.username = username;
-    if (userId) player.userId = userId;
+    // The seat keeps the identity it was created with, whoever signs in on the new socket.
     ws.__playerId = player.playerId;
     log.info('Player reconnected', { playerId: player.playerId, gameId: player.gameId });
   } else {
-    const newPlayerId = uuidv4();
+    // A player reconnecting to a game hosted by another instance keeps its id
+    // so the owning instance can match it to the seat, once it proved the id is theirs.
+    const newPlayerId = remoteOwner && matchesReconnectSecret(requestedPlayerId, secret)
+      ? requestedPlayerId
+      : uuidv4();
     player = {
       playerId: newPlayerId,
       ws,
-      userId: userId || null,
-      username: username || null,
+      userId: user ? user.id : null,
+      username: user ? user.username : (username || null),
+      isGuest: !user,
       createdAt: new Date().toISOString(),
       lastPongAt: Date.now(),
       awaitingPong: false,
@@ -224,45 +912,167 @@ function handleHello(ws, payload = {}) {
     };
     ws.__playerId = newPlayerId;
     PLAYERS.set(newPlayerId, player);
-    log.info('Player connected', { playerId: newPlayerId });
+    log.info('Player connected', { playerId: newPlayerId, userId: player.userId });
   }
 
   safeSend(ws, {
     type: 'hello',
     playerId: player.playerId,
+    reconnectSecret: createReconnectSecret(player.playerId),
+    userId: player.userId,
+    username: getPlayerName(player),
+    guest: player.isGuest,
   });
 
+  if (remoteOwner) {
+    forwardToOwner(ws, remoteOwner, { type: 'hello', gameId });
+    return;
+  }
   if (gameId && player.gameId === gameId) {
-    const lobby = LOBBIES.get(gameId);
-    if (lobby) {
-      const fen = lobby.chess.fen();
-      const turn = lobby.chess.turn() === 'w' ? 'white' : 'black';
-      sendToPlayer(player, {
-        type: 'resume',
-        gameId,
-        fen,
-        turn,
-        color: player.color,
-        moves: lobby.moves.slice(),
-        result: lobby.result || null,
-        reason: lobby.resultReason || null,
-      });
-    }
+    sendResume(player, gameId);
+  }
+}
+
+function sendResume(player, gameId) {
+  const lobby = LOBBIES.get(gameId);
+  if (!lobby) return;
+  const fen = lobby.chess.fen();
+  const turn = getTurnColor(lobby.chess);
+  const chatMuted = lobby.chatMutes.has(player.playerId);
+  sendToPlayer(player, {
+    type: 'resume',
+    gameId,
+    fen,
+    turn,
+    color: player.color,
+    moves: lobby.moves.slice(),
+    variant: lobby.variant,
+    timeControl: lobby.timeControl ? lobby.timeControl.label : null,
+    clock: getClockSnapshot(lobby),
+    spectators: lobby.spectators.size,
+    // Same rule as the live relay: a player who muted the opponent only sees their own messages.
+    chat: lobby.chat.game.filter((entry) => !chatMuted || entry.playerId === player.playerId),
+    chatMuted,
+    premove: lobby.premove && lobby.premove.playerId === player.playerId ? lobby.premove.notation : null,
+    tournament: lobby.tournament,
+    result: lobby.result || null,
+    reason: lobby.resultReason || null,
+  });
+}
+
+/**
+ * Validates the game settings shared by `create` and `challenge`. Returns
+ * `{ settings }` or `{ error: { code, msg } }`.
+ */
+function parseLobbySettings(player, payload) {
+  let timeControl = null;
+  try {
+    timeControl = parseTimeControl(payload.timeControl);
+  } catch (err) {
+    return { error: { code: 'INVALID_TIME_CONTROL', msg: err.message } };
+  }
+
+  if (payload.rated === true && !player.userId) {
+    return { error: { code: 'RATED_REQUIRES_ACCOUNT', msg: 'Sign in to play rated games' } };
+  }
+
+  let variant = STANDARD_VARIANT;
+  try {
+    variant = parseVariant(payload);
+  } catch (err) {
+    return { error: { code: 'INVALID_VARIANT', msg: err.message } };
+  }
+  if (payload.rated === true && variant.name !== 'standard') {
+    return { error: { code: 'RATED_REQUIRES_STANDARD', msg: 'Only standard chess can be rated' } };
   }
+
+  return {
+    settings: {
+      color: payload.color,
+      timeControl,
+      rated: payload.rated === true,
+      allowTakebacks: payload.takebacks !== false,
+      variant,
+    },
+  };
 }
 
-function handleCreate(ws, payload = {}) {
+function parseRatingRange(raw) {
+  if (raw == null) return null;
+  const min = Number(raw.min);
+  const max = Number(raw.max);
+  if (typeof raw !== 'object' || !Number.isFinite(min) || !Number.isFinite(max)) {
+    throw new Error('ratingRange must be an object with numeric min and max');
+  }
+  return min <= max ? { min, max } : { min: max, max: min };
+}
+
+async function handleCreate(ws, payload = {}) {
   const player = getPlayer(ws);
   if (!player) {
     safeSend(ws, { type: 'error', code: 'NOT_IDENTIFIED', msg: 'Send hello first' });
     return;
   }
-  if (player.gameId) {
+  if (player.gameId || player.remoteGameId) {
     safeSend(ws, { type: 'error', code: 'ALREADY_IN_GAME', msg: 'Leave current game before creating a new one' });
     return;
   }
 
-  createLobby(player, payload.color);
+  const { settings, error } = parseLobbySettings(player, payload);
+  if (error) {
+    safeSend(ws, { type: 'error', ...error });
+    return;
+  }
+
+  if (payload.opponent === 'engine') {
+    if (settings.rated) {
+      safeSend(ws, { type: 'error', code: 'ENGINE_GAMES_UNRATED', msg: 'Games against the engine cannot be rated' });
+      return;
+    }
+    seekPool.removeSeek(player.playerId);
+    const lobby = createLobby(player, settings);
+    attachPlayerToLobby(lobby, createEnginePlayer({
+      skillLevel: payload.skillLevel,
+      movetime: payload.movetime,
+    }));
+    return;
+  }
+
+  const isPublic = payload.public === true;
+  let ratingRange = null;
+  try {
+    ratingRange = parseRatingRange(payload.ratingRange);
+  } catch (err) {
+    safeSend(ws, { type: 'error', code: 'INVALID_RATING_RANGE', msg: err.message });
+    return;
+  }
+
+  if (isPublic) {
+    if (!await checkMatchmakingCooldown(ws, player)) return;
+    if (!player.ws || player.gameId) return;
+  }
+
+  let hostRating = null;
+  if (isPublic && player.userId) {
+    try {
+      const speedRating = await ratingService.getSpeedRating(
+        player.userId,
+        ratingService.getSpeedForTimeControl(settings.timeControl)
+      );
+      hostRating = Math.round(speedRating.rating);
+    } catch (err) {
+      log.warn('Failed to load rating for public lobby', { playerId: player.playerId, error: err?.message || err });
+    }
+    if (!player.ws || player.gameId) return;
+  }
+
+  seekPool.removeSeek(player.playerId);
+  createLobby(player, {
+    ...settings,
+    isPublic,
+    ratingRange,
+    hostRating,
+  });
 }
 
 function attachPlayerToLobby(lobby, player) {
@@ -276,16 +1086,18 @@ function attachPlayerToLobby(lobby, player) {
   lobby.guest = player;
 
   log.info('Player joined lobby', { gameId: lobby.gameId, playerId: player.playerId, color: guestColor });
-  startGame(lobby);
+  startGame(lobby).catch((err) => {
+    log.error('Failed to start game', { gameId: lobby.gameId, error: err?.message || err });
+  });
 }
 
-function handleJoin(ws, payload = {}) {
+async function handleJoin(ws, payload = {}) {
   const player = getPlayer(ws);
   if (!player) {
     safeSend(ws, { type: 'error', code: 'NOT_IDENTIFIED', msg: 'Send hello first' });
     return;
   }
-  if (player.gameId) {
+  if (player.gameId || player.remoteGameId) {
     safeSend(ws, { type: 'error', code: 'ALREADY_IN_GAME', msg: 'Leave current game before joining another' });
     return;
   }
@@ -305,7 +1117,47 @@ function handleJoin(ws, payload = {}) {
     safeSend(ws, { type: 'error', code: 'LOBBY_FULL', msg: 'Lobby already has two players' });
     return;
   }
+  if (lobby.rated && !player.userId) {
+    safeSend(ws, { type: 'error', code: 'RATED_REQUIRES_ACCOUNT', msg: 'Sign in to play rated games' });
+    return;
+  }
+  if (lobby.rated && lobby.host.userId === player.userId) {
+    safeSend(ws, { type: 'error', code: 'SAME_ACCOUNT', msg: 'You cannot play a rated game against yourself' });
+    return;
+  }
+  if (lobby.public) {
+    if (!await checkMatchmakingCooldown(ws, player)) return;
+    if (!player.ws || player.gameId || lobby.status !== 'waiting' || lobby.guest || !LOBBIES.has(gameId)) {
+      safeSend(ws, { type: 'error', code: 'LOBBY_FULL', msg: 'Lobby already has two players' });
+      return;
+    }
+  }
+
+  if (lobby.ratingRange) {
+    // Guests have no rating to check, and a failed lookup must not let anyone in.
+    if (!player.userId) {
+      safeSend(ws, { type: 'error', code: 'RATING_REQUIRES_ACCOUNT', msg: 'Sign in to join lobbies with a rating range' });
+      return;
+    }
+    let rating;
+    try {
+      rating = (await ratingService.getSpeedRating(player.userId, lobby.speed)).rating;
+    } catch (err) {
+      log.warn('Failed to load rating for join', { playerId: player.playerId, error: err?.message || err });
+      safeSend(ws, { type: 'error', code: 'RATING_UNAVAILABLE', msg: 'Could not check your rating; try again later' });
+      return;
+    }
+    if (rating < lobby.ratingRange.min || rating > lobby.ratingRange.max) {
+      safeSend(ws, { type: 'error', code: 'RATING_OUT_OF_RANGE', msg: 'Your rating is outside the range this lobby accepts' });
+      return;
+    }
+    if (!player.ws || player.gameId || lobby.status !== 'waiting' || lobby.guest || !LOBBIES.has(gameId)) {
+      safeSend(ws, { type: 'error', code: 'LOBBY_FULL', msg: 'Lobby already has two players' });
+      return;
+    }
+  }
 
+  seekPool.removeSeek(player.playerId);
   attachPlayerToLobby(lobby, player);
 }
 
@@ -313,102 +1165,212 @@ function validateMovePayload(payload = {}) {
   if (!payload || typeof payload !== 'object') return false;
   if (!payload.gameId) return false;
   if (!payload.playerId) return false;
-  if (!payload.san && !payload.uci) return false;
-  return true;
-}
-
-function resolveUciFromMove(move) {
-  if (!move) return null;
-  return `${move.from}${move.to}${move.promotion ? move.promotion : ''}`;
+  return [payload.uci, payload.san, payload.lan].some((notation) => typeof notation === 'string' && notation.trim());
 }
 
-function determineGameOutcome(chessInstance, moverColor) {
-  if (chessInstance.isCheckmate()) {
-    return {
-      result: moverColor === 'white' ? '1-0' : '0-1',
-      reason: 'checkmate',
-    };
-  }
-  if (chessInstance.isStalemate()) {
-    return { result: '1/2-1/2', reason: 'stalemate' };
-  }
-  if (chessInstance.isThreefoldRepetition()) {
-    return { result: '1/2-1/2', reason: 'threefold' };
-  }
-  if (chessInstance.isInsufficientMaterial()) {
-    return { result: '1/2-1/2', reason: 'insufficient_material' };
-  }
-  if (chessInstance.isDraw()) {
-    return { result: '1/2-1/2', reason: 'draw' };
-  }
-  return null;
+function getMoveNotation(payload) {
+  return [payload.uci, payload.san, payload.lan].find((notation) => typeof notation === 'string' && notation.trim());
 }
 
-function handleMove(ws, payload = {}) {
+function resolveMoveContext(ws, payload) {
   if (!validateMovePayload(payload)) {
     safeSend(ws, { type: 'error', code: 'INVALID_PAYLOAD', msg: 'Invalid move payload' });
-    return;
+    return null;
   }
 
-  const { gameId, uci, playerId } = payload;
+  const { gameId, playerId } = payload;
   const player = getPlayer(ws);
   if (!player || player.playerId !== playerId) {
     safeSend(ws, { type: 'error', code: 'PLAYER_MISMATCH', msg: 'Player not recognized for move' });
-    return;
+    return null;
   }
 
   if (!player.gameId) {
     safeSend(ws, { type: 'error', code: 'NOT_IN_GAME', msg: 'Player not seated in a game' });
-    return;
+    return null;
   }
 
   if (player.gameId !== gameId) {
     safeSend(ws, { type: 'error', code: 'NOT_IN_GAME', msg: 'Player not seated in this game' });
-    return;
+    return null;
   }
 
   const lobby = LOBBIES.get(player.gameId);
   if (!lobby || lobby.status !== 'active') {
     safeSend(ws, { type: 'error', code: 'INVALID_LOBBY', msg: 'Game not found or not active' });
-    return;
+    return null;
   }
 
-  log.info('Move request', { gameId, playerId: player.playerId, uci });
+  return { player, lobby, notation: getMoveNotation(payload) };
+}
 
-  const moverColor = player.color;
-  const chess = lobby.chess;
-  const turn = chess.turn() === 'w' ? 'white' : 'black';
-  if (moverColor !== turn) {
-    safeSend(ws, { type: 'error', code: 'WRONG_TURN', msg: 'Not your turn' });
-    return;
-  }
+function handleMove(ws, payload = {}) {
+  const context = resolveMoveContext(ws, payload);
+  if (!context) return;
+  const { player, lobby, notation } = context;
 
-  let moveResult = null;
-  try {
-    moveResult = chess.move({
-      from: uci.slice(0, 2),
-      to: uci.slice(2, 4),
-      promotion: uci.length > 4 ? uci[4] : undefined,
-    });
-  } catch (err) {
-    moveResult = null;
+  log.info('Move request', { gameId: lobby.gameId, playerId: player.playerId, notation });
+
+  const outcome = applyMove(lobby, player, notation);
+  if (outcome.error) {
+    safeSend(ws, { type: 'error', ...outcome.error });
   }
+}
 
-  if (!moveResult) {
-    log.warn('Illegal move rejected', { gameId, playerId: player.playerId, uci });
-    safeSend(ws, { type: 'error', code: 'ILLEGAL_MOVE', msg: 'Illegal move' });
+/**
+ * Queues a single move to be played as soon as the opponent has moved,
+ * replacing any earlier premove. Only its owner is told about it. A premove
+ * sent on the player's own turn (the opponent's move crossed it in flight) is
+ * simply played.
+ */
+function handlePremove(ws, payload = {}) {
+  const context = resolveMoveContext(ws, payload);
+  if (!context) return;
+  const { player, lobby, notation } = context;
+
+  if (getTurnColor(lobby.chess) === player.color) {
+    const outcome = applyMove(lobby, player, notation);
+    if (outcome.error) {
+      safeSend(ws, { type: 'error', ...outcome.error });
+    }
+    return;
+  }
+  if (!parseMoveInput(notation)) {
+    safeSend(ws, { type: 'error', code: 'INVALID_PAYLOAD', msg: 'Invalid move payload' });
     return;
   }
 
-  lobby.moves.push({
+  lobby.premove = {
+    color: player.color,
     playerId: player.playerId,
-    uci,
-    fenAfter: chess.fen(),
-    timestamp: Date.now(),
-  });
+    notation,
+    queuedAt: Date.now(),
+  };
+  safeSend(ws, { type: 'premove_set', gameId: lobby.gameId, notation });
+}
+
+function cancelPremove(lobby, reason) {
+  const { premove } = lobby;
+  if (!premove) return;
+  lobby.premove = null;
+  sendToPlayer(getSeatedPlayer(lobby, premove.color), {
+    type: 'premove_cancelled',
+    gameId: lobby.gameId,
+    notation: premove.notation,
+    reason,
+  });
+}
+
+function handleCancelPremove(ws, payload = {}) {
+  const context = resolveActiveGame(ws, payload);
+  if (!context) return;
+  const { player, lobby } = context;
+  if (!lobby.premove || lobby.premove.playerId !== player.playerId) {
+    safeSend(ws, { type: 'error', code: 'NO_PREMOVE', msg: 'No premove queued' });
+    return;
+  }
+  cancelPremove(lobby, 'cancelled');
+}
+
+/** Plays the queued premove if it belongs to the side now on move. */
+function playQueuedPremove(lobby) {
+  const { premove } = lobby;
+  if (!premove || premove.color !== getTurnColor(lobby.chess)) return false;
+  const player = getSeatedPlayer(lobby, premove.color);
+  if (!player || player.playerId !== premove.playerId) {
+    lobby.premove = null;
+    return false;
+  }
+
+  lobby.premove = null;
+  const outcome = applyMove(lobby, player, premove.notation);
+  if (outcome.error) {
+    lobby.premove = premove;
+    cancelPremove(lobby, outcome.error.code === 'ILLEGAL_MOVE' ? 'illegal' : 'rejected');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validates and plays a move for a seated player (human or engine), then runs
+ * the clock, notifies everyone and ends the game if the move finished it.
+ * `notation` may be SAN, UCI or LAN; the move is recorded and broadcast with
+ * both its SAN and UCI forms. Returns `{ error: { code, msg } }` when the move
+ * was rejected.
+ */
+function applyMove(lobby, player, notation) {
+  const { gameId } = lobby;
+  const moverColor = player.color;
+  const chess = lobby.chess;
+  const turn = getTurnColor(chess);
+  if (moverColor !== turn) {
+    return { error: { code: 'WRONG_TURN', msg: 'Not your turn' } };
+  }
+
+  const { clock } = lobby;
+  const moveReceivedAt = Date.now();
+  if (clock && getRemainingMs(clock, moverColor, moveReceivedAt) <= 0) {
+    handleFlagFall(lobby, moverColor);
+    return { error: { code: 'TIMEOUT', msg: 'Your time ran out' } };
+  }
+
+  let moveResult = null;
+  const moveInput = parseMoveInput(notation);
+  try {
+    moveResult = moveInput ? chess.move(moveInput) : null;
+  } catch (err) {
+    moveResult = null;
+  }
+
+  if (!moveResult) {
+    log.warn('Illegal move rejected', { gameId, playerId: player.playerId, notation });
+    return { error: { code: 'ILLEGAL_MOVE', msg: 'Illegal move' } };
+  }
+
+  const uci = moveToUci(moveResult);
+  const moveDetails = {
+    uci,
+    san: moveResult.san,
+    color: moverColor,
+    captured: moveResult.captured || null,
+    check: /[+#]$/.test(moveResult.san),
+    moveNumber: Number.parseInt(moveResult.before.split(' ')[5], 10) || 1,
+  };
+
+  const nextTurn = getTurnColor(chess);
+  if (clock) {
+    clock[moverColor] = getRemainingMs(clock, moverColor, moveReceivedAt) + lobby.timeControl.incrementMs;
+    runClock(lobby, nextTurn);
+  }
+
+  lobby.moves.push({
+    playerId: player.playerId,
+    ...moveDetails,
+    fenAfter: chess.fen(),
+    timestamp: moveReceivedAt,
+    clock: clock ? { white: clock.white, black: clock.black } : null,
+  });
 
   const fenAfter = chess.fen();
-  const nextTurn = chess.turn() === 'w' ? 'white' : 'black';
+
+  if (lobby.drawOffer && lobby.drawOffer.by !== moverColor) {
+    lobby.drawOffer = null;
+    broadcastToLobby(lobby, {
+      type: 'draw_offer_cancelled',
+      gameId,
+      reason: 'opponent_moved',
+    });
+  }
+
+  if (lobby.takebackRequest) {
+    lobby.takebackRequest = null;
+    broadcastToLobby(lobby, {
+      type: 'takeback_cancelled',
+      gameId,
+      reason: 'moved',
+    });
+  }
 
   log.info('Move applied', {
     gameId,
@@ -418,43 +1380,1246 @@ function handleMove(ws, payload = {}) {
     nextTurn,
   });
 
-  broadcastToLobby(lobby, {
-    type: 'move',
-    gameId,
-    playerId: player.playerId,
-    uci,
-    fen: fenAfter,
-    turn: nextTurn,
+  broadcastToLobby(lobby, {
+    type: 'move',
+    gameId,
+    playerId: player.playerId,
+    ...moveDetails,
+    fen: fenAfter,
+    turn: nextTurn,
+    clock: getClockSnapshot(lobby),
+  }, { includeSpectators: true });
+
+  persistLobby(lobby);
+  scheduleFirstMoveTimeout(lobby);
+
+  const outcome = determineGameOutcome(chess, moverColor);
+  if (outcome) {
+    finalizeGame(lobby, outcome.result, outcome.reason);
+  } else if (!playQueuedPremove(lobby)) {
+    requestEngineMoveIfDue(lobby);
+  }
+  return { ok: true };
+}
+
+function handleResign(ws, payload = {}) {
+  const player = getPlayer(ws);
+  if (!player) {
+    safeSend(ws, { type: 'error', code: 'NOT_IDENTIFIED', msg: 'Send hello first' });
+    return;
+  }
+  const { gameId } = payload;
+  if (!gameId) {
+    safeSend(ws, { type: 'error', code: 'INVALID_GAME_ID', msg: 'gameId is required' });
+    return;
+  }
+  const lobby = LOBBIES.get(gameId);
+  if (!lobby) {
+    safeSend(ws, { type: 'error', code: 'GAME_NOT_FOUND', msg: 'Game not available' });
+    return;
+  }
+  if (player.gameId !== lobby.gameId) {
+    safeSend(ws, { type: 'error', code: 'NOT_IN_GAME', msg: 'Player not seated in this game' });
+    return;
+  }
+  const result = player.color === 'white' ? '0-1' : '1-0';
+  finalizeGame(lobby, result, 'resign');
+}
+
+/** A game can be aborted until both sides have made their first move. */
+function canAbort(lobby) {
+  return lobby.status === 'active' && lobby.moves.length < 2;
+}
+
+function clearFirstMoveTimeout(lobby) {
+  if (lobby.firstMoveTimer) {
+    clearTimeout(lobby.firstMoveTimer);
+    lobby.firstMoveTimer = null;
+  }
+}
+
+/**
+ * (Re)arms the auto-abort timer while the side to move still owes its first
+ * move. Called whenever the move count changes.
+ */
+function scheduleFirstMoveTimeout(lobby) {
+  clearFirstMoveTimeout(lobby);
+  if (!canAbort(lobby)) return;
+  const player = getSeatedPlayer(lobby, getTurnColor(lobby.chess));
+  if (!player || player.isEngine) return;
+
+  const plies = lobby.moves.length;
+  lobby.firstMoveTimer = setTimeout(() => {
+    lobby.firstMoveTimer = null;
+    if (LOBBIES.get(lobby.gameId) !== lobby || lobby.moves.length !== plies || !canAbort(lobby)) return;
+    abortGame(lobby, player, 'first_move_timeout');
+  }, FIRST_MOVE_TIMEOUT_MS);
+  lobby.firstMoveTimer.unref?.();
+}
+
+/**
+ * Ends the game without a result. Aborts are never rated; `abandonedBy` is
+ * the player held responsible, whose account collects an abandonment unless
+ * they aborted on purpose.
+ */
+function abortGame(lobby, abandonedBy, cause) {
+  recordAbandonment(abandonedBy, lobby.gameId, cause);
+  log.info('Game aborted', { gameId: lobby.gameId, playerId: abandonedBy?.playerId, cause });
+  finalizeGame(lobby, '*', 'aborted');
+}
+
+function recordAbandonment(player, gameId, reason) {
+  if (!player || !player.userId || !ABANDONMENT_REASONS.has(reason)) return;
+  abandonmentService.recordAbandonment({ userId: player.userId, gameId, reason }).catch((err) => {
+    log.error('Failed to record abandonment', { gameId, userId: player.userId, error: err?.message || err });
+  });
+}
+
+function handleAbort(ws, payload = {}) {
+  const context = resolveActiveGame(ws, payload);
+  if (!context) return;
+  const { player, lobby } = context;
+  if (!canAbort(lobby)) {
+    safeSend(ws, { type: 'error', code: 'ABORT_NOT_ALLOWED', msg: 'Games can only be aborted before both sides have moved' });
+    return;
+  }
+  abortGame(lobby, player, 'abort');
+}
+
+/**
+ * Shared guard for in-game requests: resolves the sender and their active
+ * lobby, or replies with the matching error and returns null.
+ */
+function resolveActiveGame(ws, payload = {}) {
+  const player = getPlayer(ws);
+  if (!player) {
+    safeSend(ws, { type: 'error', code: 'NOT_IDENTIFIED', msg: 'Send hello first' });
+    return null;
+  }
+  const { gameId } = payload;
+  if (!gameId) {
+    safeSend(ws, { type: 'error', code: 'INVALID_GAME_ID', msg: 'gameId is required' });
+    return null;
+  }
+  const lobby = LOBBIES.get(gameId);
+  if (!lobby) {
+    safeSend(ws, { type: 'error', code: 'GAME_NOT_FOUND', msg: 'Game not available' });
+    return null;
+  }
+  if (player.gameId !== lobby.gameId) {
+    safeSend(ws, { type: 'error', code: 'NOT_IN_GAME', msg: 'Player not seated in this game' });
+    return null;
+  }
+  if (lobby.status !== 'active') {
+    safeSend(ws, { type: 'error', code: 'INVALID_LOBBY', msg: 'Game not found or not active' });
+    return null;
+  }
+  return { player, lobby };
+}
+
+function handleDrawOffer(ws, payload = {}) {
+  const context = resolveActiveGame(ws, payload);
+  if (!context) return;
+  const { player, lobby } = context;
+
+  if (lobby.drawOffer) {
+    if (lobby.drawOffer.by === player.color) {
+      safeSend(ws, { type: 'error', code: 'DRAW_ALREADY_OFFERED', msg: 'Draw offer already pending' });
+      return;
+    }
+    // Offering a draw while the opponent's offer is pending accepts it.
+    finalizeGame(lobby, '1/2-1/2', 'agreement');
+    return;
+  }
+
+  lobby.drawOffer = {
+    by: player.color,
+    playerId: player.playerId,
+    offeredAt: Date.now(),
+  };
+  broadcastToLobby(lobby, {
+    type: 'draw_offer',
+    gameId: lobby.gameId,
+    by: player.color,
+    playerId: player.playerId,
+  });
+  log.info('Draw offered', { gameId: lobby.gameId, playerId: player.playerId });
+
+  // The engine plays every game out.
+  const opponent = getSeatedPlayer(lobby, getOpponentColor(player.color));
+  if (opponent && opponent.isEngine) {
+    lobby.drawOffer = null;
+    broadcastToLobby(lobby, {
+      type: 'draw_declined',
+      gameId: lobby.gameId,
+      by: opponent.color,
+    });
+  }
+}
+
+function handleDrawAccept(ws, payload = {}) {
+  const context = resolveActiveGame(ws, payload);
+  if (!context) return;
+  const { player, lobby } = context;
+
+  if (!lobby.drawOffer || lobby.drawOffer.by === player.color) {
+    safeSend(ws, { type: 'error', code: 'NO_DRAW_OFFER', msg: 'No draw offer from your opponent' });
+    return;
+  }
+  finalizeGame(lobby, '1/2-1/2', 'agreement');
+}
+
+function handleDrawDecline(ws, payload = {}) {
+  const context = resolveActiveGame(ws, payload);
+  if (!context) return;
+  const { player, lobby } = context;
+
+  if (!lobby.drawOffer || lobby.drawOffer.by === player.color) {
+    safeSend(ws, { type: 'error', code: 'NO_DRAW_OFFER', msg: 'No draw offer from your opponent' });
+    return;
+  }
+  lobby.drawOffer = null;
+  broadcastToLobby(lobby, {
+    type: 'draw_declined',
+    gameId: lobby.gameId,
+    by: player.color,
+  });
+}
+
+function handleDrawClaim(ws, payload = {}) {
+  const context = resolveActiveGame(ws, payload);
+  if (!context) return;
+  const { lobby } = context;
+  const { chess } = lobby;
+
+  const canClaimThreefold = countCurrentPositionRepetitions(chess) >= 3;
+  const canClaimFiftyMove = getHalfmoveClock(chess) >= FIFTY_MOVE_HALFMOVES;
+  const requested = payload.reason;
+
+  let reason = null;
+  if (requested === 'threefold') {
+    reason = canClaimThreefold ? 'threefold' : null;
+  } else if (requested === 'fifty_move') {
+    reason = canClaimFiftyMove ? 'fifty_move' : null;
+  } else if (canClaimThreefold) {
+    reason = 'threefold';
+  } else if (canClaimFiftyMove) {
+    reason = 'fifty_move';
+  }
+
+  if (!reason) {
+    safeSend(ws, { type: 'error', code: 'DRAW_CLAIM_INVALID', msg: 'No draw can be claimed in this position' });
+    return;
+  }
+  finalizeGame(lobby, '1/2-1/2', reason);
+}
+
+function handleTakebackRequest(ws, payload = {}) {
+  const context = resolveActiveGame(ws, payload);
+  if (!context) return;
+  const { player, lobby } = context;
+
+  if (!lobby.allowTakebacks) {
+    safeSend(ws, { type: 'error', code: 'TAKEBACKS_DISABLED', msg: 'Takebacks are not allowed in this game' });
+    return;
+  }
+  if (lobby.takebackRequest) {
+    safeSend(ws, { type: 'error', code: 'TAKEBACK_PENDING', msg: 'A takeback request is already pending' });
+    return;
+  }
+
+  // On your own turn the opponent has already replied, so both plies go.
+  const plies = getTurnColor(lobby.chess) === player.color ? 2 : 1;
+  if (lobby.moves.length < plies) {
+    safeSend(ws, { type: 'error', code: 'NOTHING_TO_TAKE_BACK', msg: 'You have no move to take back' });
+    return;
+  }
+
+  lobby.takebackRequest = {
+    by: player.color,
+    playerId: player.playerId,
+    plies,
+    requestedAt: Date.now(),
+  };
+  broadcastToLobby(lobby, {
+    type: 'takeback_request',
+    gameId: lobby.gameId,
+    by: player.color,
+    playerId: player.playerId,
+    plies,
+  });
+  log.info('Takeback requested', { gameId: lobby.gameId, playerId: player.playerId, plies });
+
+  // The engine grants every takeback it is asked for.
+  const opponent = getSeatedPlayer(lobby, getOpponentColor(player.color));
+  if (opponent && opponent.isEngine) {
+    applyTakeback(lobby);
+  }
+}
+
+function handleTakebackAccept(ws, payload = {}) {
+  const context = resolveActiveGame(ws, payload);
+  if (!context) return;
+  const { player, lobby } = context;
+  const request = lobby.takebackRequest;
+
+  if (!request || request.by === player.color) {
+    safeSend(ws, { type: 'error', code: 'NO_TAKEBACK_REQUEST', msg: 'No takeback request from your opponent' });
+    return;
+  }
+  applyTakeback(lobby);
+}
+
+function applyTakeback(lobby) {
+  const request = lobby.takebackRequest;
+  for (let i = 0; i < request.plies; i += 1) {
+    lobby.chess.undo();
+  }
+  lobby.moves.splice(lobby.moves.length - request.plies, request.plies);
+  lobby.takebackRequest = null;
+  lobby.drawOffer = null;
+  cancelPremove(lobby, 'takeback');
+
+  const turn = getTurnColor(lobby.chess);
+  if (lobby.clock) {
+    stopClock(lobby);
+    runClock(lobby, turn);
+  }
+
+  broadcastToLobby(lobby, {
+    type: 'takeback',
+    gameId: lobby.gameId,
+    plies: request.plies,
+    fen: lobby.chess.fen(),
+    turn,
+    moves: lobby.moves.slice(),
+    clock: getClockSnapshot(lobby),
+  }, { includeSpectators: true });
+  persistLobby(lobby);
+  scheduleFirstMoveTimeout(lobby);
+  log.info('Takeback applied', { gameId: lobby.gameId, plies: request.plies });
+  requestEngineMoveIfDue(lobby);
+}
+
+function handleTakebackDecline(ws, payload = {}) {
+  const context = resolveActiveGame(ws, payload);
+  if (!context) return;
+  const { player, lobby } = context;
+
+  if (!lobby.takebackRequest || lobby.takebackRequest.by === player.color) {
+    safeSend(ws, { type: 'error', code: 'NO_TAKEBACK_REQUEST', msg: 'No takeback request from your opponent' });
+    return;
+  }
+  lobby.takebackRequest = null;
+  broadcastToLobby(lobby, {
+    type: 'takeback_declined',
+    gameId: lobby.gameId,
+    by: player.color,
+  });
+}
+
+function broadcastSpectatorCount(lobby) {
+  broadcastToLobby(lobby, {
+    type: 'spectators',
+    gameId: lobby.gameId,
+    count: lobby.spectators.size,
+  }, { includeSpectators: true });
+}
+
+function detachSpectator(ws) {
+  if (!ws || !ws.__watchingGameId) return;
+  const lobby = LOBBIES.get(ws.__watchingGameId);
+  ws.__watchingGameId = null;
+  if (!lobby || !lobby.spectators.delete(ws)) return;
+  broadcastSpectatorCount(lobby);
+}
+
+/**
+ * Spectators are tracked by socket rather than by player so that clients can
+ * watch without sending hello first. They only ever receive public events and
+ * are never seated, so every player-only handler rejects them.
+ */
+function handleWatch(ws, payload = {}) {
+  const { gameId } = payload;
+  if (!gameId || typeof gameId !== 'string') {
+    safeSend(ws, { type: 'error', code: 'INVALID_GAME_ID', msg: 'gameId is required to watch a game' });
+    return;
+  }
+  const lobby = LOBBIES.get(gameId);
+  if (!lobby) {
+    safeSend(ws, { type: 'error', code: 'GAME_NOT_FOUND', msg: 'Game not available' });
+    return;
+  }
+  const player = getPlayer(ws);
+  if (player && player.gameId === gameId) {
+    safeSend(ws, { type: 'error', code: 'ALREADY_IN_GAME', msg: 'Players cannot watch their own game' });
+    return;
+  }
+
+  if (ws.__watchingGameId !== gameId) {
+    detachSpectator(ws);
+    ws.__watchingGameId = gameId;
+    lobby.spectators.add(ws);
+  }
+
+  safeSend(ws, {
+    type: 'watching',
+    gameId,
+    status: lobby.status,
+    fen: lobby.chess.fen(),
+    turn: getTurnColor(lobby.chess),
+    moves: lobby.moves.slice(),
+    variant: lobby.variant,
+    white: describeSeat(lobby, 'white'),
+    black: describeSeat(lobby, 'black'),
+    timeControl: lobby.timeControl ? lobby.timeControl.label : null,
+    clock: getClockSnapshot(lobby),
+    chat: lobby.chat.spectator.map(toSpectatorPayload),
+  });
+  broadcastSpectatorCount(lobby);
+  log.info('Spectator attached', { gameId, spectators: lobby.spectators.size });
+}
+
+function handleUnwatch(ws) {
+  const gameId = ws.__watchingGameId || null;
+  detachSpectator(ws);
+  safeSend(ws, { type: 'unwatched', gameId });
+}
+
+function isChatRateLimited(player, now = Date.now()) {
+  const recent = (player.chatSentAt || []).filter((sentAt) => now - sentAt < CHAT_RATE_WINDOW_MS);
+  player.chatSentAt = recent;
+  if (recent.length >= CHAT_RATE_MAX_MESSAGES) return true;
+  recent.push(now);
+  return false;
+}
+
+/**
+ * The "game" channel is private to the two players; the "spectator" channel is
+ * shared by spectators and any player who chooses to post there, and is never
+ * delivered to the players so spectators cannot pass them hints.
+ */
+function handleChat(ws, payload = {}) {
+  const player = getPlayer(ws);
+  if (!player) {
+    safeSend(ws, { type: 'error', code: 'NOT_IDENTIFIED', msg: 'Send hello first' });
+    return;
+  }
+  const { gameId } = payload;
+  const lobby = gameId ? LOBBIES.get(gameId) : null;
+  if (!lobby) {
+    safeSend(ws, { type: 'error', code: 'GAME_NOT_FOUND', msg: 'Game not available' });
+    return;
+  }
+
+  const channel = payload.channel || 'game';
+  if (!CHAT_CHANNELS.includes(channel)) {
+    safeSend(ws, { type: 'error', code: 'INVALID_CHANNEL', msg: `Unknown chat channel: ${channel}` });
+    return;
+  }
+  const isSeated = player.gameId === lobby.gameId;
+  const isSpectator = ws.__watchingGameId === lobby.gameId;
+  if (!isSeated && !(isSpectator && channel === 'spectator')) {
+    safeSend(ws, { type: 'error', code: 'CHAT_FORBIDDEN', msg: 'You cannot post to this channel' });
+    return;
+  }
+
+  const raw = typeof payload.text === 'string' ? payload.text.trim() : '';
+  if (!raw) {
+    safeSend(ws, { type: 'error', code: 'INVALID_PAYLOAD', msg: 'Chat text is required' });
+    return;
+  }
+  if (raw.length > CHAT_MAX_LENGTH) {
+    safeSend(ws, { type: 'error', code: 'CHAT_TOO_LONG', msg: `Chat messages are limited to ${CHAT_MAX_LENGTH} characters` });
+    return;
+  }
+  if (isChatRateLimited(player)) {
+    safeSend(ws, { type: 'error', code: 'CHAT_RATE_LIMITED', msg: 'You are sending messages too quickly' });
+    return;
+  }
+
+  let filtered;
+  try {
+    filtered = chatFilter(raw, { gameId: lobby.gameId, playerId: player.playerId, channel }) || {};
+  } catch (err) {
+    log.warn('Chat filter failed', err?.message || err);
+    filtered = { text: raw };
+  }
+  if (filtered.flagged || filtered.blocked) {
+    log.warn('Chat message flagged', { gameId: lobby.gameId, playerId: player.playerId, blocked: !!filtered.blocked });
+  }
+  if (filtered.blocked) {
+    safeSend(ws, { type: 'error', code: 'CHAT_BLOCKED', msg: 'Message was blocked by the chat filter' });
+    return;
+  }
+
+  const entry = {
+    playerId: player.playerId,
+    name: getPlayerName(player),
+    text: filtered.text ?? raw,
+    sentAt: Date.now(),
+  };
+  const history = lobby.chat[channel];
+  history.push(entry);
+  if (history.length > CHAT_HISTORY_LIMIT) {
+    history.splice(0, history.length - CHAT_HISTORY_LIMIT);
+  }
+
+  const message = { type: 'chat', gameId: lobby.gameId, channel, ...entry };
+  if (channel === 'spectator') {
+    broadcastToSpectators(lobby, message);
+    if (!isSpectator) safeSend(ws, message);
+    return;
+  }
+  [lobby.host, lobby.guest]
+    .filter(Boolean)
+    .filter((recipient) => recipient.playerId === player.playerId || !lobby.chatMutes.has(recipient.playerId))
+    .forEach((recipient) => sendToPlayer(recipient, message));
+}
+
+function handleChatMute(ws, payload = {}) {
+  const player = getPlayer(ws);
+  if (!player) {
+    safeSend(ws, { type: 'error', code: 'NOT_IDENTIFIED', msg: 'Send hello first' });
+    return;
+  }
+  const lobby = payload.gameId ? LOBBIES.get(payload.gameId) : null;
+  if (!lobby || player.gameId !== lobby.gameId) {
+    safeSend(ws, { type: 'error', code: 'NOT_IN_GAME', msg: 'Player not seated in this game' });
+    return;
+  }
+  const muted = payload.muted !== false;
+  if (muted) {
+    lobby.chatMutes.add(player.playerId);
+  } else {
+    lobby.chatMutes.delete(player.playerId);
+  }
+  safeSend(ws, { type: 'chat_muted', gameId: lobby.gameId, muted });
+}
+
+/**
+ * Shared guard for rematch messages: resolves the sender, the open rematch
+ * window for the finished game and the opponent, or replies with an error.
+ */
+function resolveRematch(ws, payload = {}) {
+  const player = getPlayer(ws);
+  if (!player) {
+    safeSend(ws, { type: 'error', code: 'NOT_IDENTIFIED', msg: 'Send hello first' });
+    return null;
+  }
+  const rematch = payload.gameId ? REMATCHES.get(payload.gameId) : null;
+  if (!rematch || !rematch.colors[player.playerId]) {
+    safeSend(ws, { type: 'error', code: 'REMATCH_UNAVAILABLE', msg: 'Rematch window has closed' });
+    return null;
+  }
+  const opponentId = Object.keys(rematch.colors).find((playerId) => playerId !== player.playerId);
+  const opponent = PLAYERS.get(opponentId) || null;
+  return { player, rematch, opponent };
+}
+
+function handleRematchOffer(ws, payload = {}) {
+  const context = resolveRematch(ws, payload);
+  if (!context) return;
+  const { player, rematch, opponent } = context;
+
+  if (rematch.offeredBy === player.playerId) {
+    safeSend(ws, { type: 'error', code: 'REMATCH_PENDING', msg: 'Rematch already offered' });
+    return;
+  }
+  if (rematch.offeredBy) {
+    handleRematchAccept(ws, payload);
+    return;
+  }
+  if (player.gameId) {
+    safeSend(ws, { type: 'error', code: 'ALREADY_IN_GAME', msg: 'Leave current game before offering a rematch' });
+    return;
+  }
+  if (!opponent || opponent.gameId) {
+    safeSend(ws, { type: 'error', code: 'OPPONENT_UNAVAILABLE', msg: 'Opponent is no longer available' });
+    return;
+  }
+
+  rematch.offeredBy = player.playerId;
+  sendToPlayer(opponent, {
+    type: 'rematch_offer',
+    gameId: rematch.gameId,
+    playerId: player.playerId,
+    name: getPlayerName(player),
+    expiresAt: rematch.expiresAt,
+  });
+  safeSend(ws, { type: 'rematch_offered', gameId: rematch.gameId, expiresAt: rematch.expiresAt });
+}
+
+function handleRematchAccept(ws, payload = {}) {
+  const context = resolveRematch(ws, payload);
+  if (!context) return;
+  const { player, rematch, opponent } = context;
+
+  if (!rematch.offeredBy || rematch.offeredBy === player.playerId) {
+    safeSend(ws, { type: 'error', code: 'NO_REMATCH_OFFER', msg: 'No rematch offer from your opponent' });
+    return;
+  }
+  if (player.gameId || !opponent || opponent.gameId) {
+    safeSend(ws, { type: 'error', code: 'OPPONENT_UNAVAILABLE', msg: 'Both players must be free to rematch' });
+    closeRematchWindow(rematch, 'unavailable');
+    return;
+  }
+
+  closeRematchWindow(rematch, 'accepted');
+  const host = rematch.hostPlayerId === player.playerId ? player : opponent;
+  const guest = host === player ? opponent : player;
+  const lobby = createLobby(host, {
+    ...rematch.settings,
+    color: getOpponentColor(rematch.colors[host.playerId]),
+  });
+  [host, guest].forEach((participant) => sendToPlayer(participant, {
+    type: 'rematch',
+    gameId: lobby.gameId,
+    previousGameId: rematch.gameId,
+  }));
+  log.info('Rematch accepted', { previousGameId: rematch.gameId, gameId: lobby.gameId });
+  attachPlayerToLobby(lobby, guest);
+}
+
+function handleRematchDecline(ws, payload = {}) {
+  const context = resolveRematch(ws, payload);
+  if (!context) return;
+  const { player, rematch, opponent } = context;
+
+  if (!rematch.offeredBy || rematch.offeredBy === player.playerId) {
+    safeSend(ws, { type: 'error', code: 'NO_REMATCH_OFFER', msg: 'No rematch offer from your opponent' });
+    return;
+  }
+  sendToPlayer(opponent, { type: 'rematch_declined', gameId: rematch.gameId });
+  rematch.offeredBy = null;
+  closeRematchWindow(rematch, 'declined');
+}
+
+function sendSeekStatus(player) {
+  const status = seekPool.getSeekStatus(player.playerId);
+  if (!status) return;
+  sendToPlayer(player, { type: 'seek_status', ...status });
+}
+
+function runMatchmaking() {
+  seekPool.takeMatches().forEach(([first, second]) => {
+    const host = PLAYERS.get(first.playerId);
+    const guest = PLAYERS.get(second.playerId);
+    if (!host || !guest || host.gameId || guest.gameId) {
+      log.warn('Dropping stale matchmaking pair', { first: first.playerId, second: second.playerId });
+      return;
+    }
+    const lobby = createLobby(host, { timeControl: first.timeControl, rated: first.rated });
+    [host, guest].forEach((player) => sendToPlayer(player, { type: 'seek_matched', gameId: lobby.gameId }));
+    log.info('Matchmaking paired players', { gameId: lobby.gameId, host: host.playerId, guest: guest.playerId });
+    attachPlayerToLobby(lobby, guest);
+  });
+}
+
+/**
+ * Resolves to `{ count, until }` while the account is serving an abandonment
+ * cooldown, otherwise null. A failed lookup does not block play.
+ */
+async function getActiveCooldown(userId) {
+  if (!userId) return null;
+  try {
+    const cooldown = await abandonmentService.getMatchmakingCooldown(userId);
+    return cooldown.until ? cooldown : null;
+  } catch (err) {
+    log.warn('Failed to load matchmaking cooldown', { userId, error: err?.message || err });
+    return null;
+  }
+}
+
+/**
+ * Shared guard for every way of finding an opponent: replies with
+ * MATCHMAKING_COOLDOWN and resolves to false while the player is cooling down.
+ */
+async function checkMatchmakingCooldown(ws, player) {
+  const cooldown = await getActiveCooldown(player.userId);
+  if (!cooldown) return true;
+  safeSend(ws, {
+    type: 'error',
+    code: 'MATCHMAKING_COOLDOWN',
+    msg: 'Too many abandoned games; matchmaking is paused for a while',
+    until: cooldown.until,
+    abandonments: cooldown.count,
+  });
+  return false;
+}
+
+async function handleSeek(ws, payload = {}) {
+  const player = getPlayer(ws);
+  if (!player) {
+    safeSend(ws, { type: 'error', code: 'NOT_IDENTIFIED', msg: 'Send hello first' });
+    return;
+  }
+  if (player.gameId || player.remoteGameId) {
+    safeSend(ws, { type: 'error', code: 'ALREADY_IN_GAME', msg: 'Leave current game before seeking a new one' });
+    return;
+  }
+
+  let timeControl = null;
+  try {
+    timeControl = parseTimeControl(payload.timeControl);
+  } catch (err) {
+    safeSend(ws, { type: 'error', code: 'INVALID_TIME_CONTROL', msg: err.message });
+    return;
+  }
+
+  let ratingRange = null;
+  try {
+    ratingRange = parseRatingRange(payload.ratingRange);
+  } catch (err) {
+    safeSend(ws, { type: 'error', code: 'INVALID_RATING_RANGE', msg: err.message });
+    return;
+  }
+
+  const rated = payload.rated === true;
+  if (rated && !player.userId) {
+    safeSend(ws, { type: 'error', code: 'RATED_REQUIRES_ACCOUNT', msg: 'Sign in to play rated games' });
+    return;
+  }
+
+  if (!await checkMatchmakingCooldown(ws, player)) return;
+
+  let rating = seekPool.DEFAULT_RATING;
+  if (player.userId) {
+    try {
+      const speedRating = await ratingService.getSpeedRating(
+        player.userId,
+        ratingService.getSpeedForTimeControl(timeControl)
+      );
+      rating = speedRating.rating;
+    } catch (err) {
+      log.warn('Failed to load rating for seek', { playerId: player.playerId, error: err?.message || err });
+    }
+  }
+  if (!player.ws || player.gameId) return;
+
+  seekPool.addSeek({
+    playerId: player.playerId,
+    userId: player.userId,
+    timeControl,
+    rated,
+    rating,
+    ratingRange,
+  });
+  safeSend(ws, {
+    type: 'seek_started',
+    timeControl: timeControl ? timeControl.label : null,
+    rated,
+  });
+  log.info('Seek added', { playerId: player.playerId, timeControl: timeControl?.label || null });
+
+  runMatchmaking();
+  sendSeekStatus(player);
+}
+
+function handleCancelSeek(ws) {
+  const player = getPlayer(ws);
+  if (!player) {
+    safeSend(ws, { type: 'error', code: 'NOT_IDENTIFIED', msg: 'Send hello first' });
+    return;
+  }
+  const removed = seekPool.removeSeek(player.playerId);
+  safeSend(ws, { type: 'seek_cancelled', wasSeeking: !!removed });
+}
+
+function isOpenLobby(lobby) {
+  return LOBBIES.get(lobby.gameId) === lobby
+    && lobby.public
+    && lobby.status === 'waiting'
+    && !!lobby.host
+    && !lobby.guest;
+}
+
+function describeOpenLobby(lobby) {
+  return {
+    gameId: lobby.gameId,
+    host: {
+      name: getPlayerName(lobby.host),
+      rating: lobby.hostRating,
+      guest: !!lobby.host.isGuest,
+    },
+    color: lobby.colorPreference,
+    timeControl: lobby.timeControl ? lobby.timeControl.label : null,
+    speed: lobby.speed,
+    rated: lobby.rated,
+    variant: lobby.variant.name,
+    ratingRange: lobby.ratingRange,
+    createdAt: lobby.createdAt,
+  };
+}
+
+/** Open public lobbies hosted by this instance, oldest first. */
+function listOpenLobbies() {
+  return Array.from(LOBBIES.values())
+    .filter(isOpenLobby)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(describeOpenLobby);
+}
+
+/**
+ * Called whenever a lobby may have started or stopped being open; tells
+ * subscribers about the transition, if there was one.
+ */
+function syncOpenLobby(lobby) {
+  if (isOpenLobby(lobby)) {
+    if (OPEN_LOBBY_IDS.has(lobby.gameId)) return;
+    OPEN_LOBBY_IDS.add(lobby.gameId);
+    LOBBY_SUBSCRIBERS.forEach((ws) => safeSend(ws, { type: 'lobby_added', lobby: describeOpenLobby(lobby) }));
+  } else if (OPEN_LOBBY_IDS.delete(lobby.gameId)) {
+    LOBBY_SUBSCRIBERS.forEach((ws) => safeSend(ws, { type: 'lobby_removed', gameId: lobby.gameId }));
+  }
+}
+
+function handleLobbiesSubscribe(ws) {
+  LOBBY_SUBSCRIBERS.add(ws);
+  safeSend(ws, { type: 'lobbies', lobbies: listOpenLobbies() });
+}
+
+function getConnectedPlayersForUser(userId) {
+  return Array.from(PLAYERS.values())
+    .filter((player) => player.userId === userId && player.ws && !player.ws.__remote);
+}
+
+function describeChallenge(challenge) {
+  const { settings } = challenge;
+  return {
+    challengeId: challenge.challengeId,
+    from: { userId: challenge.fromUserId, name: challenge.fromName },
+    to: challenge.toUsername,
+    color: ['white', 'black'].includes(settings.color) ? settings.color : 'random',
+    timeControl: settings.timeControl ? settings.timeControl.label : null,
+    rated: settings.rated,
+    variant: settings.variant.name,
+    expiresAt: challenge.expiresAt,
+  };
+}
+
+function closeChallenge(challenge, type, extra = {}) {
+  clearTimeout(challenge.timer);
+  CHALLENGES.delete(challenge.challengeId);
+  const payload = { type, challengeId: challenge.challengeId, ...extra };
+  sendToPlayer(PLAYERS.get(challenge.fromPlayerId), payload);
+  getConnectedPlayersForUser(challenge.toUserId).forEach((player) => sendToPlayer(player, payload));
+}
+
+/**
+ * Direct challenges go to every connection of the invited account; the first
+ * one to accept plays. Challenges expire after CHALLENGE_TTL_MS and are
+ * withdrawn when the challenger disconnects.
+ */
+async function handleChallenge(ws, payload = {}) {
+  const player = getPlayer(ws);
+  if (!player) {
+    safeSend(ws, { type: 'error', code: 'NOT_IDENTIFIED', msg: 'Send hello first' });
+    return;
+  }
+  if (!player.userId) {
+    safeSend(ws, { type: 'error', code: 'CHALLENGE_REQUIRES_ACCOUNT', msg: 'Sign in to challenge other players' });
+    return;
+  }
+  if (player.gameId || player.remoteGameId) {
+    safeSend(ws, { type: 'error', code: 'ALREADY_IN_GAME', msg: 'Leave current game before challenging someone' });
+    return;
+  }
+  if (!payload.username || typeof payload.username !== 'string') {
+    safeSend(ws, { type: 'error', code: 'INVALID_PAYLOAD', msg: 'username is required to send a challenge' });
+    return;
+  }
+
+  const { settings, error } = parseLobbySettings(player, payload);
+  if (error) {
+    safeSend(ws, { type: 'error', ...error });
+    return;
+  }
+  if (!await checkMatchmakingCooldown(ws, player)) return;
+
+  let target = null;
+  try {
+    target = await findUserByUsername(payload.username.trim());
+  } catch (err) {
+    log.warn('Failed to look up challenged user', { username: payload.username, error: err?.message || err });
+  }
+  if (!target) {
+    safeSend(ws, { type: 'error', code: 'USER_NOT_FOUND', msg: 'No player with that username' });
+    return;
+  }
+  if (target.id === player.userId) {
+    safeSend(ws, { type: 'error', code: 'SAME_ACCOUNT', msg: 'You cannot challenge yourself' });
+    return;
+  }
+  const recipients = getConnectedPlayersForUser(target.id);
+  if (!recipients.length) {
+    safeSend(ws, { type: 'error', code: 'USER_OFFLINE', msg: `${target.username} is not online` });
+    return;
+  }
+
+  const challenge = {
+    challengeId: uuidv4(),
+    fromPlayerId: player.playerId,
+    fromUserId: player.userId,
+    fromName: getPlayerName(player),
+    toUserId: target.id,
+    toUsername: target.username,
+    settings,
+    expiresAt: Date.now() + CHALLENGE_TTL_MS,
+    timer: null,
+  };
+  challenge.timer = setTimeout(
+    () => closeChallenge(challenge, 'challenge_cancelled', { reason: 'expired' }),
+    CHALLENGE_TTL_MS
+  );
+  CHALLENGES.set(challenge.challengeId, challenge);
+
+  const description = describeChallenge(challenge);
+  recipients.forEach((recipient) => sendToPlayer(recipient, { type: 'challenge', ...description }));
+  safeSend(ws, { type: 'challenge_sent', ...description });
+  log.info('Challenge sent', { challengeId: challenge.challengeId, from: player.playerId, to: target.id });
+}
+
+function resolveChallenge(ws, payload, role) {
+  const player = getPlayer(ws);
+  const challenge = CHALLENGES.get(payload.challengeId);
+  const isParty = challenge && player && (role === 'challenger'
+    ? challenge.fromPlayerId === player.playerId
+    : !!player.userId && challenge.toUserId === player.userId);
+  if (!isParty) {
+    safeSend(ws, { type: 'error', code: 'CHALLENGE_NOT_FOUND', msg: 'Challenge not found or no longer pending' });
+    return null;
+  }
+  return { player, challenge };
+}
+
+async function handleChallengeAccept(ws, payload = {}) {
+  const context = resolveChallenge(ws, payload, 'challenged');
+  if (!context) return;
+  const { player, challenge } = context;
+
+  if (player.gameId || player.remoteGameId) {
+    safeSend(ws, { type: 'error', code: 'ALREADY_IN_GAME', msg: 'Leave current game before accepting a challenge' });
+    return;
+  }
+  if (!await checkMatchmakingCooldown(ws, player)) return;
+  if (CHALLENGES.get(challenge.challengeId) !== challenge || !player.ws || player.gameId || player.remoteGameId) {
+    safeSend(ws, { type: 'error', code: 'CHALLENGE_NOT_FOUND', msg: 'Challenge not found or no longer pending' });
+    return;
+  }
+  const challenger = PLAYERS.get(challenge.fromPlayerId);
+  if (!challenger || !challenger.ws || challenger.gameId || challenger.remoteGameId) {
+    closeChallenge(challenge, 'challenge_cancelled', { reason: 'unavailable' });
+    return;
+  }
+
+  seekPool.removeSeek(player.playerId);
+  seekPool.removeSeek(challenger.playerId);
+  const lobby = createLobby(challenger, challenge.settings);
+  closeChallenge(challenge, 'challenge_accepted', { gameId: lobby.gameId });
+  attachPlayerToLobby(lobby, player);
+}
+
+function handleChallengeDecline(ws, payload = {}) {
+  const context = resolveChallenge(ws, payload, 'challenged');
+  if (!context) return;
+  closeChallenge(context.challenge, 'challenge_declined');
+}
+
+function handleChallengeCancel(ws, payload = {}) {
+  const context = resolveChallenge(ws, payload, 'challenger');
+  if (!context) return;
+  closeChallenge(context.challenge, 'challenge_cancelled', { reason: 'cancelled' });
+}
+
+async function handleCorrespondenceAction(ws, payload, action) {
+  const player = getPlayer(ws);
+  if (!player || !player.userId) {
+    safeSend(ws, { type: 'error', code: 'ACCOUNT_REQUIRED', msg: 'Sign in to play correspondence games' });
+    return;
+  }
+  try {
+    await action({ gameId: payload.gameId, userId: player.userId, uci: payload.uci });
+  } catch (err) {
+    safeSend(ws, { type: 'error', code: err.code || 'CORRESPONDENCE_FAILED', msg: err.message });
+  }
+}
+
+/**
+ * Correspondence games are not held in LOBBIES; their players are told about
+ * every change (including moves made over REST) wherever they are connected.
+ */
+function notifyCorrespondencePlayers(game) {
+  [game.white.userId, game.black.userId]
+    .filter(Boolean)
+    .flatMap(getConnectedPlayersForUser)
+    .forEach((player) => sendToPlayer(player, { type: 'correspondence_update', game }));
+}
+
+function getIdleTournamentPlayer(userId) {
+  return getConnectedPlayersForUser(userId).find((player) => !player.gameId && !player.remoteGameId) || null;
+}
+
+/**
+ * Turns tournament pairings into games. Both players must be connected, free
+ * and not serving an abandonment cooldown. Players who are offline or still
+ * in another game get TOURNAMENT_ABSENT_GRACE_MS to show up; after that the
+ * pairing is scored as a forfeit against whoever is missing.
+ */
+function launchTournamentGames(tournament, pairings) {
+  Promise.all(pairings.map((pairing) => launchTournamentPairing(tournament, pairing)))
+    .catch((err) => {
+      log.error('Failed to launch tournament games', { tournamentId: tournament.id, error: err?.message || err });
+    })
+    .then(() => {
+      broadcastToTournament(tournament.id, {
+        type: 'tournament_pairings',
+        tournamentId: tournament.id,
+        pairings: pairings.map((pairing) => tournamentService.describePairing(tournament, pairing)),
+      });
+    });
+}
+
+async function launchTournamentPairing(tournament, pairing) {
+  if (pairing.result || !pairing.black) return;
+  const cooldowns = await Promise.all([pairing.white, pairing.black].map(getActiveCooldown));
+  const deadline = Date.now() + TOURNAMENT_ABSENT_GRACE_MS;
+  let white = null;
+  let black = null;
+  for (;;) {
+    if (pairing.result) return;
+    white = cooldowns[0] ? null : getIdleTournamentPlayer(pairing.white);
+    black = cooldowns[1] ? null : getIdleTournamentPlayer(pairing.black);
+    const waitingFor = [[cooldowns[0], white], [cooldowns[1], black]].some(([cooldown, player]) => !cooldown && !player);
+    if (!waitingFor || Date.now() >= deadline) break;
+    await new Promise((resolve) => setTimeout(resolve, TOURNAMENT_PRESENCE_POLL_MS));
+  }
+  if (!white || !black) {
+    const absent = [[pairing.white, white], [pairing.black, black]]
+      .filter(([, player]) => !player)
+      .map(([userId]) => userId);
+    updateTournamentPairing('record_result', {
+      tournamentId: tournament.id,
+      pairingId: pairing.id,
+      result: absent.length === 2 ? '*' : (white ? '1-0' : '0-1'),
+      reason: 'forfeit',
+      absent,
+    });
+    return;
+  }
+
+  [white, black].forEach((player) => seekPool.removeSeek(player.playerId));
+  const lobby = createLobby(white, {
+    color: 'white',
+    timeControl: parseTimeControl(tournament.timeControl),
+    rated: tournament.rated,
+    allowTakebacks: false,
+  });
+  lobby.tournament = {
+    id: tournament.id,
+    name: tournament.name,
+    pairingId: pairing.id,
+    round: pairing.round,
+  };
+  updateTournamentPairing('attach_game', { tournamentId: tournament.id, pairingId: pairing.id, gameId: lobby.gameId });
+  log.info('Tournament game paired', { tournamentId: tournament.id, gameId: lobby.gameId });
+  attachPlayerToLobby(lobby, black);
+}
+
+function broadcastToTournament(tournamentId, payload) {
+  const subscribers = TOURNAMENT_SUBSCRIBERS.get(tournamentId);
+  if (!subscribers) return;
+  subscribers.forEach((ws) => safeSend(ws, payload));
+}
+
+function pushTournamentUpdate(tournament) {
+  broadcastToTournament(tournament.id, {
+    type: 'tournament_update',
+    tournament: tournamentService.describeTournamentView(tournament),
+  });
+  if (['finished', 'cancelled'].includes(tournament.status)) {
+    TOURNAMENT_SUBSCRIBERS.delete(tournament.id);
+  }
+}
+
+async function handleTournamentSubscribe(ws, payload = {}) {
+  const { tournamentId } = payload;
+  if (!tournamentId || typeof tournamentId !== 'string') {
+    safeSend(ws, { type: 'error', code: 'INVALID_TOURNAMENT_ID', msg: 'tournamentId is required' });
+    return;
+  }
+  let tournament;
+  try {
+    tournament = await tournamentService.getTournament(tournamentId);
+  } catch (err) {
+    safeSend(ws, { type: 'error', code: err.code || 'TOURNAMENT_NOT_FOUND', msg: err.message });
+    return;
+  }
+  if (!['finished', 'cancelled'].includes(tournament.status)) {
+    if (!TOURNAMENT_SUBSCRIBERS.has(tournamentId)) {
+      TOURNAMENT_SUBSCRIBERS.set(tournamentId, new Set());
+    }
+    TOURNAMENT_SUBSCRIBERS.get(tournamentId).add(ws);
+  }
+  safeSend(ws, { type: 'tournament', tournament });
+}
+
+function unsubscribeFromTournaments(ws, tournamentId = null) {
+  TOURNAMENT_SUBSCRIBERS.forEach((subscribers, id) => {
+    if (tournamentId && id !== tournamentId) return;
+    subscribers.delete(ws);
+    if (!subscribers.size) TOURNAMENT_SUBSCRIBERS.delete(id);
+  });
+}
+
+async function handleAnalysisSubscribe(ws, payload = {}) {
+  const { jobId } = payload;
+  if (!jobId || typeof jobId !== 'string') {
+    safeSend(ws, { type: 'error', code: 'INVALID_JOB_ID', msg: 'jobId is required' });
+    return;
+  }
+  const player = getPlayer(ws);
+  let job;
+  try {
+    job = await analysisJobService.getAnalysisJob({ jobId, userId: player?.userId || null });
+  } catch (err) {
+    safeSend(ws, { type: 'error', code: err.code || 'JOB_NOT_FOUND', msg: err.message });
+    return;
+  }
+  if (['queued', 'running'].includes(job.status)) {
+    if (!ANALYSIS_SUBSCRIBERS.has(jobId)) {
+      ANALYSIS_SUBSCRIBERS.set(jobId, new Set());
+    }
+    ANALYSIS_SUBSCRIBERS.get(jobId).add(ws);
+  }
+  safeSend(ws, { type: 'analysis_job', job });
+}
+
+function unsubscribeFromAnalysis(ws, jobId = null) {
+  ANALYSIS_SUBSCRIBERS.forEach((subscribers, id) => {
+    if (jobId && id !== jobId) return;
+    subscribers.delete(ws);
+    if (!subscribers.size) ANALYSIS_SUBSCRIBERS.delete(id);
   });
+}
 
-  const outcome = determineGameOutcome(chess, moverColor);
-  if (outcome) {
-    finalizeGame(lobby, outcome.result, outcome.reason);
-  }
+function pushAnalysisProgress(job, { ply, totalPlies, entry, annotation }) {
+  const subscribers = ANALYSIS_SUBSCRIBERS.get(job.id);
+  if (!subscribers) return;
+  const payload = { type: 'analysis_progress', jobId: job.id, ply, totalPlies, entry, annotation };
+  subscribers.forEach((ws) => safeSend(ws, payload));
 }
 
-function handleResign(ws, payload = {}) {
-  const player = getPlayer(ws);
-  if (!player) {
-    safeSend(ws, { type: 'error', code: 'NOT_IDENTIFIED', msg: 'Send hello first' });
-    return;
+function pushAnalysisUpdate(job) {
+  const subscribers = ANALYSIS_SUBSCRIBERS.get(job.id);
+  if (!subscribers) return;
+  const payload = { type: 'analysis_update', job: analysisJobService.describeJob(job) };
+  subscribers.forEach((ws) => safeSend(ws, payload));
+  if (!['queued', 'running'].includes(job.status)) {
+    ANALYSIS_SUBSCRIBERS.delete(job.id);
   }
-  const { gameId } = payload;
-  if (!gameId) {
-    safeSend(ws, { type: 'error', code: 'INVALID_GAME_ID', msg: 'gameId is required' });
+}
+
+function closeEngineSession(ws) {
+  const entry = ENGINE_SESSIONS.get(ws);
+  if (!entry) return;
+  ENGINE_SESSIONS.delete(ws);
+  clearTimeout(entry.idleTimer);
+  clearTimeout(entry.searchTimer);
+  entry.session.close();
+}
+
+// Engine processes are expensive; one left without a search is shut down after a while.
+function scheduleEngineSessionIdle(ws, entry) {
+  clearTimeout(entry.idleTimer);
+  entry.idleTimer = setTimeout(() => {
+    if (ENGINE_SESSIONS.get(ws) !== entry) return;
+    closeEngineSession(ws);
+    safeSend(ws, { type: 'engine_closed', reason: 'idle' });
+  }, ENGINE_SESSION_IDLE_MS);
+}
+
+function getEngineSession(ws) {
+  const existing = ENGINE_SESSIONS.get(ws);
+  if (existing) return existing;
+  const entry = { session: null, idleTimer: null, searchTimer: null };
+  entry.session = stockfishService.openAnalysisSession({
+    onInfo: (searchId, info) => safeSend(ws, { type: 'engine_info', searchId, ...info }),
+    onBestMove: (searchId, { bestMove, ponder }) => {
+      safeSend(ws, { type: 'engine_bestmove', searchId, bestMove, ponder });
+      if (ENGINE_SESSIONS.get(ws) === entry) scheduleEngineSessionIdle(ws, entry);
+    },
+    onClose: (err) => {
+      if (ENGINE_SESSIONS.get(ws) !== entry) return;
+      ENGINE_SESSIONS.delete(ws);
+      clearTimeout(entry.idleTimer);
+      clearTimeout(entry.searchTimer);
+      safeSend(ws, { type: 'engine_closed', reason: 'crashed', msg: err?.message || 'Engine stopped' });
+    },
+  });
+  ENGINE_SESSIONS.set(ws, entry);
+  return entry;
+}
+
+/**
+ * Starts a search on the socket's engine session, opening one if needed.
+ * A new `engine_analyze` while a search runs replaces it on the same engine;
+ * without `depth` or `movetime` the search runs until `engine_stop`, or at
+ * most ENGINE_SESSION_MAX_SEARCH_MS.
+ */
+async function handleEngineAnalyze(ws, payload = {}) {
+  let entry;
+  try {
+    entry = getEngineSession(ws);
+  } catch (err) {
+    safeSend(ws, { type: 'error', code: err.code || 'ENGINE_UNAVAILABLE', msg: err.message });
     return;
   }
-  const lobby = LOBBIES.get(gameId);
-  if (!lobby) {
-    safeSend(ws, { type: 'error', code: 'GAME_NOT_FOUND', msg: 'Game not available' });
-    return;
+  clearTimeout(entry.idleTimer);
+  // The idle timer is off while searching, so a client that goes quiet must not
+  // keep an engine busy forever: the search is stopped and the idle timer takes over.
+  clearTimeout(entry.searchTimer);
+  entry.searchTimer = setTimeout(() => {
+    if (ENGINE_SESSIONS.get(ws) === entry) entry.session.stop();
+  }, ENGINE_SESSION_MAX_SEARCH_MS);
+  const { fen, moves, depth, movetime, infinite, multiPv, chess960 } = payload;
+  try {
+    const searchId = await entry.session.analyze({
+      fen,
+      moves: Array.isArray(moves) ? moves : [],
+      depth,
+      movetime,
+      infinite: infinite === true,
+      multiPv,
+      chess960: chess960 === true,
+    });
+    safeSend(ws, { type: 'engine_search', searchId, fen, moves: Array.isArray(moves) ? moves : [] });
+  } catch (err) {
+    if (err.code === 'ENGINE_SEARCH_REPLACED' || err.code === 'ENGINE_SESSION_CLOSED') return;
+    safeSend(ws, { type: 'error', code: err.code || 'ENGINE_ERROR', msg: err.message });
+    if (ENGINE_SESSIONS.get(ws) === entry) scheduleEngineSessionIdle(ws, entry);
   }
-  if (player.gameId !== lobby.gameId) {
-    safeSend(ws, { type: 'error', code: 'NOT_IN_GAME', msg: 'Player not seated in this game' });
-    return;
+}
+
+function handleEngineStop(ws) {
+  const entry = ENGINE_SESSIONS.get(ws);
+  if (!entry) return;
+  clearTimeout(entry.searchTimer);
+  entry.session.stop();
+  scheduleEngineSessionIdle(ws, entry);
+}
+
+/** Whether a game is still being played on this or any other instance. */
+async function isOnlineGameLive(gameId) {
+  if (LOBBIES.has(gameId)) return true;
+  try {
+    const owner = await cluster.getLobbyOwner(gameId);
+    return !!owner && owner !== cluster.instanceId;
+  } catch (err) {
+    // Better to keep a pairing waiting than to abort a game that may be running.
+    log.warn('Failed to look up lobby owner', { gameId, error: err?.message || err });
+    return true;
   }
-  const result = player.color === 'white' ? '0-1' : '1-0';
-  finalizeGame(lobby, result, 'resign');
 }
 
 function handleLeave(ws, payload = {}) {
@@ -479,7 +2644,10 @@ function handleLeave(ws, payload = {}) {
 
   const { gameId } = lobby;
 
-  if (lobby.status === 'active') {
+  if (canAbort(lobby)) {
+    abortGame(lobby, player, 'left');
+  } else if (lobby.status === 'active') {
+    recordAbandonment(player, gameId, 'left');
     const result = player.color === 'white' ? '0-1' : '1-0';
     finalizeGame(lobby, result, 'left');
   } else {
@@ -505,13 +2673,7 @@ function handlePong(ws) {
   player.awaitingPong = false;
 }
 
-function handleDisconnect(ws) {
-  const player = getPlayer(ws);
-  if (!player) return;
-
-  player.ws = null;
-  player.awaitingPong = false;
-
+function scheduleDisconnectTimeout(player, delayMs = DISCONNECT_TIMEOUT_MS) {
   if (player.disconnectTimer) {
     clearTimeout(player.disconnectTimer);
   }
@@ -525,13 +2687,45 @@ function handleDisconnect(ws) {
       player.color = null;
       return;
     }
-    if (lobby.status === 'active') {
+    if (canAbort(lobby)) {
+      abortGame(lobby, player, 'disconnect_timeout');
+    } else if (lobby.status === 'active') {
+      recordAbandonment(player, lobby.gameId, 'disconnect_timeout');
       const result = player.color === 'white' ? '0-1' : '1-0';
       finalizeGame(lobby, result, 'disconnect_timeout');
     } else {
       removePlayerFromLobby(player);
     }
-  }, 60_000);
+  }, delayMs);
+}
+
+function handleDisconnect(ws) {
+  detachSpectator(ws);
+  LOBBY_SUBSCRIBERS.delete(ws);
+  unsubscribeFromTournaments(ws);
+  unsubscribeFromAnalysis(ws);
+  closeEngineSession(ws);
+  if (ws.__connectionId && CONNECTIONS.get(ws.__connectionId) === ws) {
+    CONNECTIONS.delete(ws.__connectionId);
+    ws.__remoteOwners.forEach((ownerId) => {
+      cluster.send(ownerId, { kind: 'close', origin: cluster.instanceId, connectionId: ws.__connectionId })
+        .catch((err) => log.warn('Failed to notify lobby owner of disconnect', err?.message || err));
+    });
+  }
+
+  const player = getPlayer(ws);
+  if (!player) return;
+
+  player.ws = null;
+  player.awaitingPong = false;
+  seekPool.removeSeek(player.playerId);
+  CHALLENGES.forEach((challenge) => {
+    if (challenge.fromPlayerId === player.playerId) {
+      closeChallenge(challenge, 'challenge_cancelled', { reason: 'disconnected' });
+    }
+  });
+
+  scheduleDisconnectTimeout(player);
 
   const lobby = player.gameId ? LOBBIES.get(player.gameId) : null;
   if (lobby && lobby.status === 'active') {
@@ -545,7 +2739,444 @@ function handleDisconnect(ws) {
   log.info('Player disconnected', { playerId: player.playerId, gameId: player.gameId });
 }
 
-function handleMessage(ws, message) {
+function restorePlayer(info, gameId) {
+  if (!info || !info.playerId) return null;
+  if (info.isEngine) {
+    const engine = createEnginePlayer(info.engine || {});
+    engine.playerId = info.playerId;
+    engine.gameId = gameId;
+    engine.color = info.color;
+    return engine;
+  }
+  let player = PLAYERS.get(info.playerId);
+  if (!player) {
+    player = {
+      playerId: info.playerId,
+      ws: null,
+      userId: info.userId || null,
+      username: info.username || null,
+      isGuest: !!info.isGuest,
+      createdAt: new Date().toISOString(),
+      lastPongAt: Date.now(),
+      awaitingPong: false,
+      gameId: null,
+      color: null,
+      disconnectTimer: null,
+    };
+    PLAYERS.set(player.playerId, player);
+  }
+  player.gameId = gameId;
+  player.color = info.color;
+  return player;
+}
+
+/**
+ * Rebuilds a lobby from its persisted snapshot: the chess position is replayed
+ * from the move list, both players come back disconnected with a fresh
+ * reconnect grace period, and the clock resumes for the side to move from the
+ * time it had left at the last saved mutation.
+ */
+function hydrateLobby(snapshot) {
+  const variant = snapshot.variant || STANDARD_VARIANT;
+  const chess = createVariantGame(variant);
+  (snapshot.moves || []).forEach((move) => {
+    chess.move(uciToMoveInput(move.uci));
+  });
+
+  const lobby = {
+    gameId: snapshot.gameId,
+    createdAt: snapshot.createdAt,
+    startedAt: snapshot.startedAt || null,
+    host: null,
+    guest: null,
+    chess,
+    status: snapshot.status,
+    moves: snapshot.moves || [],
+    variant,
+    timeControl: snapshot.timeControl || null,
+    clock: null,
+    speed: ratingService.getSpeedForTimeControl(snapshot.timeControl || null),
+    public: !!snapshot.public,
+    colorPreference: snapshot.colorPreference || 'random',
+    ratingRange: snapshot.ratingRange || null,
+    hostRating: snapshot.hostRating ?? null,
+    rated: !!snapshot.rated,
+    ratingSnapshot: snapshot.ratingSnapshot || null,
+    ratingChanges: null,
+    allowTakebacks: !!snapshot.allowTakebacks,
+    drawOffer: snapshot.drawOffer || null,
+    takebackRequest: null,
+    premove: null,
+    firstMoveTimer: null,
+    tournament: snapshot.tournament || null,
+    spectators: new Set(),
+    chat: snapshot.chat || { game: [], spectator: [] },
+    chatMutes: new Set(snapshot.chatMutes || []),
+  };
+  lobby.host = restorePlayer(snapshot.host, lobby.gameId);
+  lobby.guest = restorePlayer(snapshot.guest, lobby.gameId);
+  LOBBIES.set(lobby.gameId, lobby);
+  syncOpenLobby(lobby);
+
+  if (lobby.status === 'active' && lobby.timeControl && snapshot.clock) {
+    lobby.clock = createClock(lobby.timeControl);
+    lobby.clock.white = snapshot.clock.white;
+    lobby.clock.black = snapshot.clock.black;
+    runClock(lobby, getTurnColor(chess));
+  }
+  [lobby.host, lobby.guest]
+    .filter((player) => player && !player.isEngine)
+    .forEach((player) => scheduleDisconnectTimeout(player));
+  scheduleFirstMoveTimeout(lobby);
+  requestEngineMoveIfDue(lobby);
+  return lobby;
+}
+
+/**
+ * Takes over a persisted lobby unless a live instance still runs it. The claim
+ * itself is conditional too, so two instances booting together cannot both
+ * win. Resolves to true when the lobby was restored here, false when it
+ * belongs to someone else.
+ */
+async function adoptLobby(snapshot) {
+  const owner = await cluster.getLobbyOwner(snapshot.gameId);
+  if (owner && owner !== cluster.instanceId) return false;
+  if (!await cluster.claimLobby(snapshot.gameId)) return false;
+  if (LOBBIES.has(snapshot.gameId)) return true;
+  try {
+    hydrateLobby(snapshot);
+  } catch (err) {
+    log.error('Failed to restore lobby', { gameId: snapshot.gameId, error: err?.message || err });
+    forgetLobby(snapshot.gameId);
+    releaseLobby(snapshot.gameId);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Restores the persisted lobbies no live instance owns. Lobbies whose owner
+ * still looked alive are checked once more after INSTANCE_STALE_MS, which
+ * covers an instance restarting right after a crash of its previous run.
+ */
+async function restoreLobbies(gameIds = null) {
+  let snapshots = [];
+  try {
+    snapshots = await lobbyStore.listLobbySnapshots();
+  } catch (err) {
+    log.error('Failed to load persisted lobbies', err?.message || err);
+    return;
+  }
+  if (gameIds) snapshots = snapshots.filter((snapshot) => gameIds.includes(snapshot.gameId));
+  let restored = 0;
+  const owned = [];
+  for (const snapshot of snapshots) {
+    if (LOBBIES.has(snapshot.gameId)) continue;
+    try {
+      if (await adoptLobby(snapshot)) restored += 1;
+      else owned.push(snapshot.gameId);
+    } catch (err) {
+      log.error('Failed to claim persisted lobby', { gameId: snapshot.gameId, error: err?.message || err });
+    }
+  }
+  log.info('Restored persisted lobbies', { restored, ownedElsewhere: owned.length, found: snapshots.length });
+  if (!gameIds && owned.length) {
+    const retry = setTimeout(() => {
+      restoreLobbies(owned).catch((err) => log.error('Failed to restore lobbies', err?.message || err));
+    }, INSTANCE_STALE_MS + HEARTBEAT_GRACE_MS);
+    retry.unref?.();
+  }
+}
+
+async function findRemoteOwner(gameId) {
+  try {
+    const owner = await cluster.getLobbyOwner(gameId);
+    return owner && owner !== cluster.instanceId ? owner : null;
+  } catch (err) {
+    log.warn('Failed to look up lobby owner', { gameId, error: err?.message || err });
+    return null;
+  }
+}
+
+function forwardToOwner(ws, ownerId, payload) {
+  ws.__remoteOwners.add(ownerId);
+  cluster.send(ownerId, {
+    kind: 'message',
+    origin: cluster.instanceId,
+    connectionId: ws.__connectionId,
+    player: serializePlayer(getPlayer(ws)),
+    payload,
+  }).catch((err) => {
+    log.error('Failed to forward message to lobby owner', { ownerId, error: err?.message || err });
+    safeSend(ws, { type: 'error', code: 'OWNER_UNAVAILABLE', msg: 'Game server is unavailable, try again' });
+  });
+}
+
+function getRoutingGameId(ws, payload) {
+  if (payload.gameId) return payload.gameId;
+  if (payload.type === 'leave') return getPlayer(ws)?.remoteGameId || null;
+  if (payload.type === 'unwatch') return ws.__remoteWatchGameId || null;
+  return null;
+}
+
+async function findTournamentOwner(tournamentId) {
+  try {
+    const owner = await cluster.getTournamentOwner(tournamentId);
+    return owner && owner !== cluster.instanceId ? owner : null;
+  } catch (err) {
+    log.warn('Failed to look up tournament owner', { tournamentId, error: err?.message || err });
+    return null;
+  }
+}
+
+async function findAnalysisJobInstance(jobId) {
+  try {
+    return await analysisJobService.findRemoteJobInstance(jobId);
+  } catch (err) {
+    log.warn('Failed to look up analysis job instance', { jobId, error: err?.message || err });
+    return null;
+  }
+}
+
+function findPublishingInstance(payload) {
+  if (TOURNAMENT_SCOPED_TYPES.has(payload.type) && typeof payload.tournamentId === 'string') {
+    return findTournamentOwner(payload.tournamentId);
+  }
+  if (ANALYSIS_SCOPED_TYPES.has(payload.type) && typeof payload.jobId === 'string') {
+    return findAnalysisJobInstance(payload.jobId);
+  }
+  return null;
+}
+
+/**
+ * Sends lobby-scoped messages for lobbies owned by another instance, and
+ * subscriptions to tournaments or analysis jobs run by another instance, to
+ * that instance. Returns true when the message was forwarded.
+ */
+async function routeToOwner(ws, payload) {
+  if (ws.__remote) return false;
+  if (TOURNAMENT_SCOPED_TYPES.has(payload.type) || ANALYSIS_SCOPED_TYPES.has(payload.type)) {
+    const ownerId = await findPublishingInstance(payload);
+    if (!ownerId) return false;
+    forwardToOwner(ws, ownerId, payload);
+    return true;
+  }
+  if (!LOBBY_SCOPED_TYPES.has(payload.type)) return false;
+  const gameId = getRoutingGameId(ws, payload);
+  if (!gameId || LOBBIES.has(gameId) || REMATCHES.has(gameId)) return false;
+  const ownerId = await findRemoteOwner(gameId);
+  if (!ownerId) return false;
+
+  if (payload.type === 'watch') ws.__remoteWatchGameId = gameId;
+  if (payload.type === 'unwatch') ws.__remoteWatchGameId = null;
+  forwardToOwner(ws, ownerId, payload);
+  return true;
+}
+
+// Operations another instance may ask this one to run on state it owns.
+const CLUSTER_ACTIONS = {
+  tournament_join: (args) => tournamentService.joinTournament(args),
+  tournament_withdraw: (args) => tournamentService.withdrawFromTournament(args),
+  tournament_attach_game: (args) => tournamentService.attachPairingGame(args),
+  tournament_record_result: (args) => tournamentService.recordPairingResult(args),
+  analysis_cancel: (args) => analysisJobService.cancelAnalysisJob(args),
+};
+
+function requestFromInstance(instanceId, action, args) {
+  const requestId = uuidv4();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      PENDING_CLUSTER_REQUESTS.delete(requestId);
+      const err = new Error('The server handling this request did not answer, try again');
+      err.code = 'OWNER_UNAVAILABLE';
+      reject(err);
+    }, CLUSTER_REQUEST_TIMEOUT_MS);
+    PENDING_CLUSTER_REQUESTS.set(requestId, { resolve, reject, timer });
+    cluster.send(instanceId, { kind: 'request', origin: cluster.instanceId, requestId, action, args })
+      .catch((err) => {
+        clearTimeout(timer);
+        PENDING_CLUSTER_REQUESTS.delete(requestId);
+        reject(err);
+      });
+  });
+}
+
+async function answerClusterRequest({ origin, requestId, action, args }) {
+  const reply = { kind: 'reply', requestId };
+  try {
+    if (!CLUSTER_ACTIONS[action]) throw new Error(`Unknown cluster action ${action}`);
+    reply.result = await CLUSTER_ACTIONS[action](args);
+  } catch (err) {
+    reply.error = { code: err?.code || null, message: err?.message || 'Request failed' };
+  }
+  await cluster.send(origin, reply);
+}
+
+function settleClusterRequest({ requestId, result, error }) {
+  const pending = PENDING_CLUSTER_REQUESTS.get(requestId);
+  if (!pending) return;
+  PENDING_CLUSTER_REQUESTS.delete(requestId);
+  clearTimeout(pending.timer);
+  if (!error) {
+    pending.resolve(result);
+    return;
+  }
+  const err = new Error(error.message);
+  if (error.code) err.code = error.code;
+  pending.reject(err);
+}
+
+/**
+ * Runs a tournament operation ('join', 'withdraw', 'attach_game' or
+ * 'record_result') on the instance running the tournament.
+ */
+async function runTournamentAction(action, args) {
+  const ownerId = await findTournamentOwner(args.tournamentId);
+  if (!ownerId) return CLUSTER_ACTIONS[`tournament_${action}`](args);
+  return requestFromInstance(ownerId, `tournament_${action}`, args);
+}
+
+function updateTournamentPairing(action, args) {
+  runTournamentAction(action, args).catch((err) => {
+    log.error('Failed to update tournament pairing', { action, ...args, error: err?.message || err });
+  });
+}
+
+// Lets the tournament scheduler drive each tournament from a single instance.
+const tournamentOwnership = {
+  claim: (tournamentId) => cluster.claimTournament(tournamentId),
+  release: (tournamentId) => cluster.releaseTournament(tournamentId),
+};
+
+/**
+ * Stand-in for a client socket connected to another instance. Handlers treat
+ * it like a local socket; whatever they send is relayed back to the instance
+ * holding the real connection.
+ */
+function getRemoteSocket(instanceId, connectionId) {
+  const key = `${instanceId}:${connectionId}`;
+  let remote = REMOTE_SOCKETS.get(key);
+  if (!remote) {
+    remote = {
+      OPEN: 1,
+      readyState: 1,
+      __remote: { instanceId, connectionId },
+      __playerId: null,
+      __watchingGameId: null,
+      __messageQueue: Promise.resolve(),
+      send(data) {
+        cluster.send(instanceId, { kind: 'deliver', connectionId, data }).catch((err) => {
+          log.warn('Failed to relay message to remote client', err?.message || err);
+        });
+      },
+      close() {
+        remote.readyState = 3;
+      },
+      terminate() {
+        remote.readyState = 3;
+      },
+    };
+    REMOTE_SOCKETS.set(key, remote);
+  }
+  return remote;
+}
+
+// Instances only forward an existing seat's playerId after the client proved it
+// with its reconnect secret; any other client arrives with a fresh id.
+function attachRemotePlayer(remote, identity) {
+  let player = PLAYERS.get(identity.playerId);
+  if (player && player.userId && player.userId !== identity.userId) {
+    safeSend(remote, { type: 'error', code: 'PLAYER_MISMATCH', msg: 'Player belongs to another account' });
+    return null;
+  }
+  if (!player) {
+    player = {
+      playerId: identity.playerId,
+      ws: remote,
+      userId: identity.userId || null,
+      username: identity.username || null,
+      isGuest: !!identity.isGuest,
+      createdAt: new Date().toISOString(),
+      lastPongAt: Date.now(),
+      awaitingPong: false,
+      gameId: null,
+      color: null,
+      disconnectTimer: null,
+    };
+    PLAYERS.set(player.playerId, player);
+  }
+  player.ws = remote;
+  if (player.disconnectTimer) {
+    clearTimeout(player.disconnectTimer);
+    player.disconnectTimer = null;
+  }
+  remote.__playerId = player.playerId;
+  return player;
+}
+
+function handleClusterEnvelope(envelope = {}) {
+  if (envelope.kind === 'deliver') {
+    const ws = CONNECTIONS.get(envelope.connectionId);
+    if (!ws) return;
+    const player = getPlayer(ws);
+    if (player) {
+      // Track the remote game so later messages without a gameId still route.
+      const { type, gameId } = JSON.parse(envelope.data);
+      if (type === 'start' || type === 'resume') player.remoteGameId = gameId;
+      if (type === 'game_over' || type === 'left') player.remoteGameId = null;
+    }
+    if (ws.readyState === ws.OPEN) ws.send(envelope.data);
+    return;
+  }
+
+  if (envelope.kind === 'request') {
+    answerClusterRequest(envelope).catch((err) => {
+      log.error('Failed to answer cluster request', { action: envelope.action, error: err?.message || err });
+    });
+    return;
+  }
+  if (envelope.kind === 'reply') {
+    settleClusterRequest(envelope);
+    return;
+  }
+
+  const remote = getRemoteSocket(envelope.origin, envelope.connectionId);
+  if (envelope.kind === 'close') {
+    remote.readyState = 3;
+    REMOTE_SOCKETS.delete(`${envelope.origin}:${envelope.connectionId}`);
+    handleDisconnect(remote);
+    return;
+  }
+  if (envelope.kind !== 'message' || !envelope.payload) return;
+
+  const player = envelope.player ? attachRemotePlayer(remote, envelope.player) : null;
+  if (envelope.player && !player) return;
+  remote.__messageQueue = remote.__messageQueue
+    .then(() => {
+      if (envelope.payload.type === 'hello') {
+        if (player && player.gameId === envelope.payload.gameId) sendResume(player, player.gameId);
+        return null;
+      }
+      return handleMessage(remote, JSON.stringify(envelope.payload));
+    })
+    .catch((err) => log.error('Remote message handler failed', err?.message || err));
+}
+
+function createClusterAdapterFromConfig() {
+  if (config.clusterAdapter === 'postgres') {
+    return createPostgresAdapter({
+      instanceId: config.instanceId || undefined,
+      connectionString: pool.options.connectionString,
+      ssl: pool.options.ssl,
+      logger: console,
+    });
+  }
+  return createInProcessAdapter({ instanceId: config.instanceId || undefined });
+}
+
+async function handleMessage(ws, message) {
+  await lobbiesRestored;
+
   let payload = null;
   try {
     payload = JSON.parse(message);
@@ -555,28 +3186,132 @@ function handleMessage(ws, message) {
   }
 
   const { type } = payload || {};
+  if (payload && await routeToOwner(ws, payload)) return;
+
   switch (type) {
     case 'hello':
-      handleHello(ws, payload);
+      await handleHello(ws, payload);
       break;
     case 'create':
-      handleCreate(ws, payload);
+      await handleCreate(ws, payload);
       break;
     case 'join':
-      handleJoin(ws, payload);
+      await handleJoin(ws, payload);
       break;
     case 'move':
       handleMove(ws, payload);
       break;
+    case 'premove':
+      handlePremove(ws, payload);
+      break;
+    case 'cancel_premove':
+      handleCancelPremove(ws, payload);
+      break;
     case 'resign':
       handleResign(ws, payload);
       break;
+    case 'abort':
+      handleAbort(ws, payload);
+      break;
+    case 'draw_offer':
+      handleDrawOffer(ws, payload);
+      break;
+    case 'draw_accept':
+      handleDrawAccept(ws, payload);
+      break;
+    case 'draw_decline':
+      handleDrawDecline(ws, payload);
+      break;
+    case 'draw_claim':
+      handleDrawClaim(ws, payload);
+      break;
+    case 'takeback_request':
+      handleTakebackRequest(ws, payload);
+      break;
+    case 'takeback_accept':
+      handleTakebackAccept(ws, payload);
+      break;
+    case 'takeback_decline':
+      handleTakebackDecline(ws, payload);
+      break;
+    case 'watch':
+      handleWatch(ws, payload);
+      break;
+    case 'unwatch':
+      handleUnwatch(ws);
+      break;
+    case 'chat':
+      handleChat(ws, payload);
+      break;
+    case 'chat_mute':
+      handleChatMute(ws, payload);
+      break;
+    case 'rematch_offer':
+      handleRematchOffer(ws, payload);
+      break;
+    case 'rematch_accept':
+      handleRematchAccept(ws, payload);
+      break;
+    case 'rematch_decline':
+      handleRematchDecline(ws, payload);
+      break;
+    case 'seek':
+      await handleSeek(ws, payload);
+      break;
+    case 'cancel_seek':
+      handleCancelSeek(ws);
+      break;
     case 'leave':
       handleLeave(ws, payload);
       break;
     case 'pong':
       handlePong(ws);
       break;
+    case 'lobbies_subscribe':
+      handleLobbiesSubscribe(ws);
+      break;
+    case 'lobbies_unsubscribe':
+      LOBBY_SUBSCRIBERS.delete(ws);
+      break;
+    case 'tournament_subscribe':
+      await handleTournamentSubscribe(ws, payload);
+      break;
+    case 'tournament_unsubscribe':
+      unsubscribeFromTournaments(ws, payload.tournamentId);
+      break;
+    case 'analysis_subscribe':
+      await handleAnalysisSubscribe(ws, payload);
+      break;
+    case 'analysis_unsubscribe':
+      unsubscribeFromAnalysis(ws, payload.jobId);
+      break;
+    case 'engine_analyze':
+      await handleEngineAnalyze(ws, payload);
+      break;
+    case 'engine_stop':
+      handleEngineStop(ws);
+      break;
+    case 'engine_close':
+      closeEngineSession(ws);
+      break;
+    case 'challenge':
+      await handleChallenge(ws, payload);
+      break;
+    case 'challenge_accept':
+      await handleChallengeAccept(ws, payload);
+      break;
+    case 'challenge_decline':
+      handleChallengeDecline(ws, payload);
+      break;
+    case 'challenge_cancel':
+      handleChallengeCancel(ws, payload);
+      break;
+    case 'correspondence_move':
+      await handleCorrespondenceAction(ws, payload, correspondenceService.playCorrespondenceMove);
+      break;
+    case 'correspondence_resign':
+      await handleCorrespondenceAction(ws, payload, correspondenceService.resignCorrespondenceGame);
+      break;
     default:
       safeSend(ws, { type: 'error', code: 'UNKNOWN_TYPE', msg: `Unknown message type: ${type}` });
       break;
@@ -594,13 +3329,57 @@ function scheduleCleanup() {
   stalePlayers.forEach((playerId) => PLAYERS.delete(playerId));
 }
 
-function initOnlinePlayServer(server) {
+function initOnlinePlayServer(server, options = {}) {
+  if (typeof options.chatFilter === 'function') {
+    chatFilter = options.chatFilter;
+  }
+  if (typeof options.persistLobbies === 'boolean') {
+    lobbyPersistence = options.persistLobbies;
+  }
+  cluster = options.clusterAdapter || createClusterAdapterFromConfig();
+  cluster.start(handleClusterEnvelope).catch((err) => {
+    log.error('Failed to start cluster adapter', err?.message || err);
+  });
+  analysisJobService.useAnalysisCluster({
+    instanceId: cluster.instanceId,
+    isInstanceAlive: (instanceId) => cluster.isInstanceAlive(instanceId),
+    cancelOnInstance: (instanceId, args) => requestFromInstance(instanceId, 'analysis_cancel', args),
+  });
+  if (lobbyPersistence) {
+    lobbiesRestored = restoreLobbies();
+  }
+
   const wss = new WebSocketServer({ server, path: '/ws' });
   log.info('WebSocket server mounted on /ws');
 
-  wss.on('connection', (ws) => {
+  wss.on('connection', (ws, req) => {
     ws.__playerId = null;
-    ws.on('message', (raw) => handleMessage(ws, raw));
+    ws.__watchingGameId = null;
+    ws.__auth = null;
+    ws.__connectionId = uuidv4();
+    ws.__remoteOwners = new Set();
+    ws.__remoteWatchGameId = null;
+    CONNECTIONS.set(ws.__connectionId, ws);
+    // Messages are handled strictly in order so that e.g. a create sent right
+    // after hello never races the account lookup.
+    ws.__messageQueue = Promise.resolve();
+
+    const token = extractUpgradeToken(req);
+    if (token) {
+      try {
+        ws.__auth = verifyAccessToken(token);
+      } catch (err) {
+        log.warn('Rejected WebSocket with invalid token', err?.message || err);
+        ws.close(4401, 'Invalid access token');
+        return;
+      }
+    }
+
+    ws.on('message', (raw) => {
+      ws.__messageQueue = ws.__messageQueue
+        .then(() => handleMessage(ws, raw))
+        .catch((err) => log.error('Message handler failed', err?.message || err));
+    });
     ws.on('close', () => handleDisconnect(ws));
     ws.on('error', (err) => {
       log.warn('WebSocket error', err?.message || err);
@@ -630,8 +3409,32 @@ function initOnlinePlayServer(server) {
     scheduleCleanup();
   }, PING_INTERVAL_MS);
 
+  const seekTimer = setInterval(() => {
+    runMatchmaking();
+    seekPool.listSeekerIds().forEach((playerId) => sendSeekStatus(PLAYERS.get(playerId)));
+  }, SEEK_TICK_MS);
+
+  correspondenceService.correspondenceEvents.on('update', notifyCorrespondencePlayers);
+  tournamentService.tournamentEvents.on('pairings', launchTournamentGames);
+  tournamentService.tournamentEvents.on('update', pushTournamentUpdate);
+  analysisJobService.analysisEvents.on('progress', pushAnalysisProgress);
+  analysisJobService.analysisEvents.on('update', pushAnalysisUpdate);
+
   wss.on('close', () => {
     clearInterval(pingTimer);
+    clearInterval(seekTimer);
+    correspondenceService.correspondenceEvents.off('update', notifyCorrespondencePlayers);
+    tournamentService.tournamentEvents.off('pairings', launchTournamentGames);
+    tournamentService.tournamentEvents.off('update', pushTournamentUpdate);
+    analysisJobService.analysisEvents.off('progress', pushAnalysisProgress);
+    analysisJobService.analysisEvents.off('update', pushAnalysisUpdate);
+    Array.from(ENGINE_SESSIONS.keys()).forEach(closeEngineSession);
+    PENDING_CLUSTER_REQUESTS.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('Server is shutting down'));
+    });
+    PENDING_CLUSTER_REQUESTS.clear();
+    cluster.close().catch(() => {});
     log.info('WebSocket server closed');
   });
 
@@ -640,4 +3443,8 @@ function initOnlinePlayServer(server) {
 
 module.exports = {
   initOnlinePlayServer,
+  listOpenLobbies,
+  isOnlineGameLive,
+  runTournamentAction,
+  tournamentOwnership,
 };
@@ -0,0 +1,216 @@
+const { query, pool } = require('./db');
+const { rateGame, defaultRating } = require('./glicko2');
+
+const SPEEDS = ['bullet', 'blitz', 'rapid', 'classical'];
+
+let schemaReady = null;
+
+function ensureRatingSchema() {
+  if (!schemaReady) {
+    const userColumns = SPEEDS.flatMap((speed) => [
+      `ADD COLUMN IF NOT EXISTS ${speed}_rating REAL NOT NULL DEFAULT 1500`,
+      `ADD COLUMN IF NOT EXISTS ${speed}_rd REAL NOT NULL DEFAULT 350`,
+      `ADD COLUMN IF NOT EXISTS ${speed}_volatility REAL NOT NULL DEFAULT 0.06`,
+      `ADD COLUMN IF NOT EXISTS ${speed}_games INTEGER NOT NULL DEFAULT 0`,
+    ]);
+    schemaReady = (async () => {
+      await query(`ALTER TABLE users ${userColumns.join(', ')}`);
+      await query(
+        `CREATE TABLE IF NOT EXISTS rating_history (
+          id BIGSERIAL PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          game_id TEXT,
+          speed TEXT NOT NULL,
+          rating_before REAL NOT NULL,
+          rating_after REAL NOT NULL,
+          rd_after REAL NOT NULL,
+          volatility_after REAL NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`
+      );
+      await query(
+        'CREATE INDEX IF NOT EXISTS rating_history_user_speed_idx ON rating_history (user_id, speed, created_at)'
+      );
+    })().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+/**
+ * Buckets a time control by estimated game duration (base + 40 increments),
+ * using the same cut-offs as most chess servers. Untimed games count as
+ * classical.
+ */
+function getSpeedForTimeControl(timeControl) {
+  if (!timeControl) return 'classical';
+  const estimatedSeconds = (timeControl.baseMs + 40 * timeControl.incrementMs) / 1000;
+  if (estimatedSeconds < 180) return 'bullet';
+  if (estimatedSeconds < 480) return 'blitz';
+  if (estimatedSeconds < 1500) return 'rapid';
+  return 'classical';
+}
+
+function assertSpeed(speed) {
+  if (!SPEEDS.includes(speed)) {
+    throw new Error(`Unknown rating speed: ${speed}`);
+  }
+}
+
+function mapRatingRow(row) {
+  if (!row) return defaultRating();
+  return {
+    rating: Number(row.rating),
+    rd: Number(row.rd),
+    volatility: Number(row.volatility),
+  };
+}
+
+async function getSpeedRating(userId, speed) {
+  assertSpeed(speed);
+  if (!userId) return defaultRating();
+  await ensureRatingSchema();
+  const result = await query(
+    `SELECT ${speed}_rating AS rating, ${speed}_rd AS rd, ${speed}_volatility AS volatility
+     FROM users
+     WHERE id = $1
+     LIMIT 1`,
+    [userId]
+  );
+  return mapRatingRow(result.rows[0]);
+}
+
+function scoreForColor(result, color) {
+  if (result === '1/2-1/2') return 0.5;
+  if (result === '1-0') return color === 'white' ? 1 : 0;
+  if (result === '0-1') return color === 'black' ? 1 : 0;
+  return null;
+}
+
+/**
+ * Computes both players' new ratings for a finished game. Synchronous so the
+ * caller can include the deltas in its game_over broadcast; saveGameRatings
+ * recomputes them from the stored ratings when persisting.
+ */
+function computeRatingUpdates({ white, black, result }) {
+  const whiteScore = scoreForColor(result, 'white');
+  if (whiteScore == null || !white || !black) return null;
+  return {
+    white: { before: white, after: rateGame(white, black, whiteScore) },
+    black: { before: black, after: rateGame(black, white, 1 - whiteScore) },
+  };
+}
+
+function summarizeRatingUpdate({ before, after }) {
+  const ratingBefore = Math.round(before.rating);
+  const ratingAfter = Math.round(after.rating);
+  return {
+    before: ratingBefore,
+    after: ratingAfter,
+    delta: ratingAfter - ratingBefore,
+    rd: Math.round(after.rd),
+  };
+}
+
+/**
+ * Rates a finished game against both players' current ratings and stores the
+ * result in one transaction. The user rows stay locked until the commit, so a
+ * player finishing two rated games at once gets both updates applied in turn
+ * instead of the later write overwriting the earlier one. Resolves to the same
+ * shape as computeRatingUpdates, or null for a result that is not rated.
+ */
+async function saveGameRatings({ whiteUserId, blackUserId, speed, gameId, result }) {
+  assertSpeed(speed);
+  await ensureRatingSchema();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Rows are locked in id order so two games between the same players cannot deadlock.
+    const locked = await client.query(
+      `SELECT id, ${speed}_rating AS rating, ${speed}_rd AS rd, ${speed}_volatility AS volatility
+       FROM users
+       WHERE id IN ($1, $2)
+       ORDER BY id
+       FOR UPDATE`,
+      [whiteUserId, blackUserId]
+    );
+    const rows = new Map(locked.rows.map((row) => [String(row.id), row]));
+    const updates = computeRatingUpdates({
+      white: mapRatingRow(rows.get(String(whiteUserId))),
+      black: mapRatingRow(rows.get(String(blackUserId))),
+      result,
+    });
+    if (!updates) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    for (const [userId, { before, after }] of [[whiteUserId, updates.white], [blackUserId, updates.black]]) {
+      await client.query(
+        `UPDATE users
+         SET ${speed}_rating = $1,
+             ${speed}_rd = $2,
+             ${speed}_volatility = $3,
+             ${speed}_games = ${speed}_games + 1
+         WHERE id = $4`,
+        [after.rating, after.rd, after.volatility, userId]
+      );
+      await client.query(
+        `INSERT INTO rating_history (
+          user_id,
+          game_id,
+          speed,
+          rating_before,
+          rating_after,
+          rd_after,
+          volatility_after
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [userId, gameId || null, speed, before.rating, after.rating, after.rd, after.volatility]
+      );
+    }
+    await client.query('COMMIT');
+    return updates;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function listRatingHistory(userId, { speed, limit = 200 } = {}) {
+  if (!userId) return [];
+  if (speed) assertSpeed(speed);
+  await ensureRatingSchema();
+  const result = await query(
+    `SELECT game_id, speed, rating_before, rating_after, rd_after, created_at
+     FROM rating_history
+     WHERE user_id = $1
+       AND ($2::text IS NULL OR speed = $2)
+     ORDER BY created_at ASC
+     LIMIT $3`,
+    [userId, speed || null, Math.max(1, Math.min(1000, Number(limit) || 200))]
+  );
+
+  return result.rows.map((row) => ({
+    gameId: row.game_id,
+    speed: row.speed,
+    ratingBefore: row.rating_before,
+    ratingAfter: row.rating_after,
+    rd: row.rd_after,
+    createdAt: row.created_at,
+  }));
+}
+
+module.exports = {
+  SPEEDS,
+  ensureRatingSchema,
+  getSpeedForTimeControl,
+  getSpeedRating,
+  computeRatingUpdates,
+  summarizeRatingUpdate,
+  saveGameRatings,
+  listRatingHistory,
+};
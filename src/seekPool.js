@@ -0,0 +1,148 @@
+const DEFAULT_RATING = 1500;
+const BASE_RATING_WINDOW = 100;
+const WIDEN_STEP_MS = 5_000;
+const WIDEN_STEP_POINTS = 50;
+const MAX_WIDENING = 500;
+const RECENT_WAIT_SAMPLES = 20;
+
+const seeks = new Map(); // playerId -> seek
+const recentWaits = new Map(); // pool key -> wait durations (ms) of recent pairings
+
+function makePoolKey({ timeControlLabel, rated }) {
+  return `${timeControlLabel || 'unlimited'}:${rated ? 'rated' : 'casual'}`;
+}
+
+function normalizeRange(range, rating) {
+  if (!range || typeof range !== 'object') {
+    return { min: rating - BASE_RATING_WINDOW, max: rating + BASE_RATING_WINDOW };
+  }
+  const min = Number.isFinite(Number(range.min)) ? Number(range.min) : rating - BASE_RATING_WINDOW;
+  const max = Number.isFinite(Number(range.max)) ? Number(range.max) : rating + BASE_RATING_WINDOW;
+  return min <= max ? { min, max } : { min: max, max: min };
+}
+
+function getWidening(seek, now) {
+  const steps = Math.floor((now - seek.createdAt) / WIDEN_STEP_MS);
+  return Math.min(MAX_WIDENING, steps * WIDEN_STEP_POINTS);
+}
+
+function getEffectiveRange(seek, now = Date.now()) {
+  const widening = getWidening(seek, now);
+  return { min: seek.range.min - widening, max: seek.range.max + widening };
+}
+
+function accepts(seek, other, now) {
+  const range = getEffectiveRange(seek, now);
+  return other.rating >= range.min && other.rating <= range.max;
+}
+
+function addSeek({ playerId, userId = null, timeControl = null, rated = false, rating, ratingRange }) {
+  if (!playerId) throw new Error('playerId is required to seek a game');
+  const normalizedRating = Number.isFinite(Number(rating)) ? Number(rating) : DEFAULT_RATING;
+  const seek = {
+    playerId,
+    userId,
+    timeControl,
+    rated: !!rated,
+    rating: normalizedRating,
+    range: normalizeRange(ratingRange, normalizedRating),
+    key: makePoolKey({ timeControlLabel: timeControl ? timeControl.label : null, rated }),
+    createdAt: Date.now(),
+  };
+  seeks.set(playerId, seek);
+  return seek;
+}
+
+function removeSeek(playerId) {
+  const seek = seeks.get(playerId) || null;
+  seeks.delete(playerId);
+  return seek;
+}
+
+function getSeek(playerId) {
+  return seeks.get(playerId) || null;
+}
+
+function listSeeksForKey(key) {
+  return Array.from(seeks.values())
+    .filter((seek) => seek.key === key)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+function recordWait(key, waitMs) {
+  const samples = recentWaits.get(key) || [];
+  samples.push(waitMs);
+  if (samples.length > RECENT_WAIT_SAMPLES) samples.shift();
+  recentWaits.set(key, samples);
+}
+
+/**
+ * Returns the seeker's 1-based position in its pool, the time already waited
+ * and an estimate of the remaining wait based on recent pairings in the same
+ * pool (null until the pool has paired anyone).
+ */
+function getSeekStatus(playerId, now = Date.now()) {
+  const seek = seeks.get(playerId);
+  if (!seek) return null;
+  const position = listSeeksForKey(seek.key).findIndex((entry) => entry.playerId === playerId) + 1;
+  const waitedMs = now - seek.createdAt;
+  const samples = recentWaits.get(seek.key) || [];
+  const averageWait = samples.length
+    ? samples.reduce((sum, value) => sum + value, 0) / samples.length
+    : null;
+  return {
+    position,
+    waitedMs,
+    estimatedWaitMs: averageWait == null ? null : Math.max(0, Math.round(averageWait - waitedMs)),
+    ratingRange: getEffectiveRange(seek, now),
+  };
+}
+
+/**
+ * Pairs compatible seeks and removes them from the pool. Within each pool the
+ * oldest seek is served first and matched with the mutually acceptable
+ * opponent closest in rating.
+ */
+function takeMatches(now = Date.now()) {
+  const pairs = [];
+  const keys = new Set(Array.from(seeks.values()).map((seek) => seek.key));
+  keys.forEach((key) => {
+    const queue = listSeeksForKey(key);
+    const matched = new Set();
+    queue.forEach((seek) => {
+      if (matched.has(seek.playerId)) return;
+      let best = null;
+      queue.forEach((candidate) => {
+        if (candidate.playerId === seek.playerId || matched.has(candidate.playerId)) return;
+        if (seek.userId && seek.userId === candidate.userId) return;
+        if (!accepts(seek, candidate, now) || !accepts(candidate, seek, now)) return;
+        if (!best || Math.abs(candidate.rating - seek.rating) < Math.abs(best.rating - seek.rating)) {
+          best = candidate;
+        }
+      });
+      if (!best) return;
+      matched.add(seek.playerId);
+      matched.add(best.playerId);
+      seeks.delete(seek.playerId);
+      seeks.delete(best.playerId);
+      recordWait(key, now - seek.createdAt);
+      recordWait(key, now - best.createdAt);
+      pairs.push([seek, best]);
+    });
+  });
+  return pairs;
+}
+
+function listSeekerIds() {
+  return Array.from(seeks.keys());
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  addSeek,
+  removeSeek,
+  getSeek,
+  getSeekStatus,
+  takeMatches,
+  listSeekerIds,
+};
@@ -1,8 +1,11 @@
-const { spawn } = require('child_process');
 const fs = require('fs');
-const readline = require('readline');
-const { Chess } = require('chess.js');
+const { Chess, validateFen } = require('chess.js');
 const config = require('./config');
+const { createChess960Game } = require('./chess960');
+const { createEnginePool } = require('./enginePool');
+const { createEngineSession } = require('./engineSession');
+const evaluationCache = require('./evaluationCache');
+const { uciToMoveInput } = require('./gameRules');
 
 const READY_TIMEOUT_MS = 6000;
 const DEFAULT_MOVETIME_MS = 1000;
@@ -74,7 +77,8 @@ function evaluationToCentipawns(evaluation) {
   }
   if (type === 'mate') {
     const mateVal = Number(value);
-    if (!Number.isFinite(mateVal) || mateVal === 0) return null;
+    if (!Number.isFinite(mateVal)) return null;
+    // `mate 0` means the side to move is already checkmated: the largest possible loss.
     const sign = mateVal > 0 ? 1 : -1;
     const distance = Math.min(Math.abs(mateVal), 100);
     return sign * (100000 - distance * 1000);
@@ -83,331 +87,484 @@ function evaluationToCentipawns(evaluation) {
 }
 
 function classifyDelta(deltaCp, thresholds) {
-  if (deltaCp == null) return null;
-  const magnitude = Math.abs(deltaCp);
+  // A move the engine rates above its own best line lost nothing.
+  if (deltaCp == null || deltaCp <= 0) return null;
+  const magnitude = deltaCp;
   if (magnitude >= thresholds.blunder) return 'blunder';
   if (magnitude >= thresholds.mistake) return 'mistake';
   if (magnitude >= thresholds.inaccuracy) return 'inaccuracy';
   return null;
 }
 
+// Logistic fit of centipawns to the expected score of the side they favour.
+const WIN_PROBABILITY_SLOPE = 0.00368208;
+const MAX_CP_LOSS = 1000;
+const GREAT_MOVE_WIN_GAP = 20;
+const MISS_WIN_LOSS = 10;
+const EXCELLENT_WIN_LOSS = 2;
+
+/** Expected score in percent (0-100) for the side a centipawn score is given for. */
+function winProbability(cp) {
+  if (cp == null) return null;
+  return 50 + 50 * (2 / (1 + Math.exp(-WIN_PROBABILITY_SLOPE * cp)) - 1);
+}
+
+/** Accuracy (0-100) of a move that dropped the mover's expected score by `winLoss` points. */
+function moveAccuracy(winLoss) {
+  if (winLoss == null) return null;
+  const raw = 103.1668 * Math.exp(-0.04354 * Math.max(0, winLoss)) - 3.1669;
+  return Math.min(100, Math.max(0, raw));
+}
+
+/**
+ * Averages the arithmetic and harmonic means of the move accuracies, so a
+ * few bad moves weigh more than they would in a plain average.
+ */
+function gameAccuracy(accuracies) {
+  if (!accuracies.length) return null;
+  const mean = accuracies.reduce((sum, value) => sum + value, 0) / accuracies.length;
+  const harmonic = accuracies.length / accuracies.reduce((sum, value) => sum + 1 / Math.max(value, 1), 0);
+  return (mean + harmonic) / 2;
+}
+
+/**
+ * Names a move from the mover's point of view: `great` is the only move that
+ * keeps the position (the second line is much worse), `miss` lets the
+ * opponent's mistake go unpunished without ending up worse than before it
+ * (`missBaseline` is the mover's expected score then), and the rest grade
+ * the loss from `best` down to the centipawn severities. A move with a
+ * severity is named after it (or `miss`), so the classification cannot
+ * contradict its annotation even when capped centipawns hide the loss.
+ */
+function classifyMove({ isBest, cpLoss, winLoss, winChanceAfter, severity, secondLineWinGap, missBaseline }) {
+  if (winLoss == null) return null;
+  const missed = missBaseline != null && winLoss >= MISS_WIN_LOSS
+    && winChanceAfter >= missBaseline - EXCELLENT_WIN_LOSS;
+  if (severity) return missed ? 'miss' : severity;
+  if (isBest || cpLoss <= 0) {
+    return secondLineWinGap != null && secondLineWinGap >= GREAT_MOVE_WIN_GAP ? 'great' : 'best';
+  }
+  if (missed) return 'miss';
+  return winLoss <= EXCELLENT_WIN_LOSS ? 'excellent' : 'good';
+}
+
+function roundTo(value, digits = 1) {
+  if (value == null) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+const UCI_MOVE_PATTERN = /^[a-h][1-8][a-h][1-8][qrbn]?$/;
+// eslint-disable-next-line no-control-regex
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
 function createUci(move) {
   if (!move || typeof move !== 'object') return null;
   return `${move.from}${move.to}${move.promotion ? move.promotion : ''}`;
 }
 
+function inputError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Builds the UCI `position` command. Everything ends up on the engine's stdin,
+ * so a FEN with control characters or a move that is not plain UCI notation is
+ * rejected instead of letting a newline smuggle in extra commands.
+ */
 function buildPositionCommand(fen, moves) {
+  if (CONTROL_CHARACTERS.test(fen)) {
+    throw inputError('INVALID_FEN', 'FEN must not contain control characters.');
+  }
   if (!Array.isArray(moves) || moves.length === 0) {
     return `position fen ${fen}`;
   }
-  const sanitized = moves
+  const trimmed = moves
     .map((mv) => String(mv || '').trim())
-    .filter((mv) => mv.length > 0)
-    .join(' ');
+    .filter((mv) => mv.length > 0);
+  const invalid = trimmed.find((mv) => !UCI_MOVE_PATTERN.test(mv));
+  if (invalid !== undefined) {
+    throw inputError('INVALID_MOVES', `Invalid UCI move: ${JSON.stringify(invalid)}`);
+  }
+  const sanitized = trimmed.join(' ');
   if (!sanitized) {
     return `position fen ${fen}`;
   }
   return `position fen ${fen} moves ${sanitized}`;
 }
 
-async function getBestMove({ fen, moves = [], movetime, depth, skillLevel, timeoutMs, multiPv }) {
+let enginePool = null;
+
+/** The shared engine pool, started on first use. */
+function getEnginePool() {
   assertConfigured();
-  if (!fen || typeof fen !== 'string') {
-    throw new Error('FEN is required to request a Stockfish move.');
+  if (!enginePool) {
+    enginePool = createEnginePool({
+      binaryPath: config.stockfishPath,
+      size: config.stockfishPoolSize,
+      maxQueue: config.stockfishMaxQueue,
+      defaultTimeoutMs: READY_TIMEOUT_MS,
+    });
   }
+  return enginePool;
+}
 
-  let engine;
-  try {
-    engine = spawn(config.stockfishPath, [], {
-      stdio: ['pipe', 'pipe', 'pipe'],
-    });
-  } catch (err) {
-    throw new Error(`Unable to spawn Stockfish binary: ${err.message || err}`);
+function getEnginePoolStats() {
+  if (!enginePool) {
+    return { started: false, size: config.stockfishPoolSize, maxQueue: config.stockfishMaxQueue };
   }
+  return { started: true, ...enginePool.getStats() };
+}
 
-  const rl = readline.createInterface({
-    input: engine.stdout,
-    crlfDelay: Infinity,
-  });
+function shutdownEnginePool() {
+  if (enginePool) {
+    enginePool.close();
+    enginePool = null;
+  }
+}
 
-  let stderrBuffer = '';
-  engine.stderr.on('data', (chunk) => {
-    stderrBuffer += chunk.toString();
-  });
+/** Folds the engine's info lines into the best line plus one entry per MultiPV line. */
+function buildSearchResult(output, bestMove, ponder, multiPv) {
+  const rawOutput = output.length ? `${output.join('\n')}\n` : '';
+  let evaluation = null;
+  let bestDepth = null;
+  let pv = [];
+  const multiPvLines = new Map();
 
-  let stdinFaulted = false;
-  if (engine.stdin) {
-    engine.stdin.on('error', (err) => {
-      if (err && err.code === 'EPIPE') {
-        stdinFaulted = true;
-        return;
-      }
-      console.warn('Stockfish stdin error:', err);
-      stdinFaulted = true;
-    });
-    engine.stdin.on('close', () => {
-      stdinFaulted = true;
-    });
-  }
+  output.forEach((line) => {
+    if (!line.startsWith('info ')) return;
+    const mpvMatch = line.match(/\bmultipv\s+(\d+)/);
+    const idx = mpvMatch ? Number.parseInt(mpvMatch[1], 10) : 1;
+    const entry = multiPvLines.get(idx) || {};
 
-  const canWriteToEngine = () => (
-    !!engine.stdin
-    && !stdinFaulted
-    && !engine.stdin.destroyed
-    && !engine.stdin.writableEnded
-    && engine.stdin.writable
-  );
-
-  const sendCommand = (message) => {
-    const payload = Array.isArray(message) ? message.join(' ') : String(message);
-    if (!canWriteToEngine()) {
-      throw new Error('Stockfish stdin is not writable.');
-    }
-    try {
-      engine.stdin.write(`${payload}\n`);
-    } catch (err) {
-      if (err && err.code === 'EPIPE') {
-        stdinFaulted = true;
-        throw new Error('Stockfish stdin closed unexpectedly.');
+    const depthMatch = line.match(/\bdepth\s+(\d+)/);
+    if (depthMatch) {
+      entry.depth = Number.parseInt(depthMatch[1], 10);
+      if (idx === 1) {
+        bestDepth = entry.depth;
       }
-      throw err;
     }
-  };
 
-  const terminateEngine = () => {
-    rl.removeAllListeners();
-    rl.close();
-    if (!engine.killed) {
-      engine.kill('SIGTERM');
+    const scoreMatch = line.match(/score\s+(cp|mate)\s+(-?\d+)/);
+    if (scoreMatch) {
+      entry.evaluation = {
+        type: scoreMatch[1],
+        value: Number.parseInt(scoreMatch[2], 10),
+      };
+      if (idx === 1) {
+        evaluation = entry.evaluation;
+      }
     }
-  };
 
-  return new Promise((resolve, reject) => {
-    let resolved = false;
-    let rawOutput = '';
-    let evaluation = null;
-    let bestDepth = null;
-    let pv = [];
-    const multiPvLines = new Map();
-    const clampedMultiPv = Math.min(Math.max(Number.parseInt(multiPv, 10) || 1, 1), 10);
-    const localTimeout = typeof timeoutMs === 'number' && timeoutMs > 0 ? timeoutMs : READY_TIMEOUT_MS;
-    const timer = setTimeout(() => {
-      if (!resolved) {
-        resolved = true;
-        cleanup();
-        reject(new Error('Stockfish response timed out.'));
+    const pvMatch = line.match(/\spv\s+(.+)$/);
+    if (pvMatch) {
+      entry.pv = pvMatch[1].trim().split(/\s+/);
+      if (idx === 1) {
+        pv = entry.pv.slice();
       }
-    }, localTimeout);
+    }
 
-    const cleanup = () => {
-      clearTimeout(timer);
-      try {
-        if (canWriteToEngine()) {
-          sendCommand('quit');
-        }
-      } catch (err) {
-        // ignore
-      }
-      terminateEngine();
-    };
+    multiPvLines.set(idx, entry);
+  });
 
-    const send = (command) => {
-      try {
-        sendCommand(command);
-      } catch (err) {
-        if (!resolved) {
-          resolved = true;
-          cleanup();
-          reject(err);
-        }
-      }
-    };
+  const rawLines = parseMultiPvFromRaw(rawOutput);
+  for (const [idx, data] of rawLines.entries()) {
+    const existing = multiPvLines.get(idx) || {};
+    multiPvLines.set(idx, {
+      depth: data.depth ?? existing.depth ?? null,
+      evaluation: data.evaluation || existing.evaluation || null,
+      pv: Array.isArray(data.pv) && data.pv.length
+        ? data.pv.slice()
+        : (Array.isArray(existing.pv) ? existing.pv.slice() : []),
+    });
+  }
 
-    const buildResult = (bestMove, ponder) => {
-      const rawLines = parseMultiPvFromRaw(rawOutput);
-      for (const [idx, data] of rawLines.entries()) {
-        const existing = multiPvLines.get(idx) || {};
-        multiPvLines.set(idx, {
-          depth: data.depth ?? existing.depth ?? null,
-          evaluation: data.evaluation || existing.evaluation || null,
-          pv: Array.isArray(data.pv) && data.pv.length
-            ? data.pv.slice()
-            : (Array.isArray(existing.pv) ? existing.pv.slice() : []),
-        });
-      }
+  const result = {
+    bestMove,
+    ponder,
+    evaluation,
+    depth: bestDepth,
+    pv,
+    raw: rawOutput,
+    stderr: '',
+  };
 
-      const result = {
-        bestMove,
-        ponder,
-        evaluation,
-        depth: bestDepth,
-        pv,
-        raw: rawOutput,
-        stderr: '',
+  if (!result.evaluation) {
+    const scoreMatches = [...rawOutput.matchAll(/score\s+(cp|mate)\s+(-?\d+)/g)];
+    const lastScore = scoreMatches.pop();
+    if (lastScore) {
+      result.evaluation = {
+        type: lastScore[1],
+        value: Number.parseInt(lastScore[2], 10),
       };
+    }
+  }
 
-      if (!result.evaluation) {
-        const scoreMatches = [...rawOutput.matchAll(/score\s+(cp|mate)\s+(-?\d+)/g)];
-        const lastScore = scoreMatches.pop();
-        if (lastScore) {
-          result.evaluation = {
-            type: lastScore[1],
-            value: Number.parseInt(lastScore[2], 10),
-          };
-        }
-      }
-
-      if (result.depth == null) {
-        const depthMatches = [...rawOutput.matchAll(/\bdepth\s+(\d+)/g)];
-        const lastDepth = depthMatches.pop();
-        if (lastDepth) {
-          result.depth = Number.parseInt(lastDepth[1], 10);
-        }
-      }
-
-      if (!Array.isArray(result.pv) || result.pv.length === 0) {
-        const pvMatch = rawOutput.match(/\spv\s+(.+)$/m);
-        if (pvMatch) {
-          result.pv = pvMatch[1].trim().split(/\s+/);
-        }
-      }
+  if (result.depth == null) {
+    const depthMatches = [...rawOutput.matchAll(/\bdepth\s+(\d+)/g)];
+    const lastDepth = depthMatches.pop();
+    if (lastDepth) {
+      result.depth = Number.parseInt(lastDepth[1], 10);
+    }
+  }
 
-      const sortedLines = Array.from(multiPvLines.entries())
-        .sort((a, b) => a[0] - b[0])
-        .map(([index, data]) => ({
-          index,
-          depth: data.depth ?? null,
-          evaluation: data.evaluation || null,
-          pv: Array.isArray(data.pv) ? data.pv.slice() : [],
-          bestMove: Array.isArray(data.pv) && data.pv.length ? data.pv[0] : null,
-        }))
-        .slice(0, clampedMultiPv);
-
-      if ((!result.evaluation || result.depth == null) && sortedLines.length > 0) {
-        if (!result.evaluation && sortedLines[0].evaluation) result.evaluation = sortedLines[0].evaluation;
-        if (result.depth == null && sortedLines[0].depth != null) result.depth = sortedLines[0].depth;
-        if ((!result.pv || result.pv.length === 0) && sortedLines[0].pv.length) result.pv = sortedLines[0].pv.slice();
-      }
+  if (!Array.isArray(result.pv) || result.pv.length === 0) {
+    const pvMatch = rawOutput.match(/\spv\s+(.+)$/m);
+    if (pvMatch) {
+      result.pv = pvMatch[1].trim().split(/\s+/);
+    }
+  }
 
-      result.lines = sortedLines;
+  const sortedLines = Array.from(multiPvLines.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, data]) => ({
+      index,
+      depth: data.depth ?? null,
+      evaluation: data.evaluation || null,
+      pv: Array.isArray(data.pv) ? data.pv.slice() : [],
+      bestMove: Array.isArray(data.pv) && data.pv.length ? data.pv[0] : null,
+    }))
+    .slice(0, multiPv);
+
+  if ((!result.evaluation || result.depth == null) && sortedLines.length > 0) {
+    if (!result.evaluation && sortedLines[0].evaluation) result.evaluation = sortedLines[0].evaluation;
+    if (result.depth == null && sortedLines[0].depth != null) result.depth = sortedLines[0].depth;
+    if ((!result.pv || result.pv.length === 0) && sortedLines[0].pv.length) result.pv = sortedLines[0].pv.slice();
+  }
 
-      return result;
-    };
+  result.lines = sortedLines;
 
-    const processInfoLine = (line) => {
-      const mpvMatch = line.match(/\bmultipv\s+(\d+)/);
-      const idx = mpvMatch ? Number.parseInt(mpvMatch[1], 10) : 1;
-      const entry = multiPvLines.get(idx) || {};
+  return result;
+}
 
-      const depthMatch = line.match(/\bdepth\s+(\d+)/);
-      if (depthMatch) {
-        entry.depth = Number.parseInt(depthMatch[1], 10);
-        if (idx === 1) {
-          bestDepth = entry.depth;
+const INFO_NUMBER_FIELDS = ['depth', 'seldepth', 'multipv', 'nodes', 'nps', 'hashfull', 'tbhits', 'time'];
+
+/**
+ * Parses a UCI `info` line into `{ depth, seldepth, multipv, score, nodes,
+ * nps, hashfull, tbhits, time, pv }`, leaving out what the line lacks. Returns
+ * null for `info string` and current-move lines, which carry no evaluation.
+ */
+function parseInfoLine(line) {
+  if (!line || !line.startsWith('info ') || line.startsWith('info string')) return null;
+  const tokens = line.split(/\s+/);
+  if (tokens.includes('currmove')) return null;
+  const info = {};
+  for (let i = 1; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (INFO_NUMBER_FIELDS.includes(token)) {
+      const value = Number.parseInt(tokens[i + 1], 10);
+      if (Number.isFinite(value)) info[token] = value;
+      i += 1;
+    } else if (token === 'score') {
+      const type = tokens[i + 1];
+      const value = Number.parseInt(tokens[i + 2], 10);
+      if ((type === 'cp' || type === 'mate') && Number.isFinite(value)) {
+        info.score = { type, value };
+        if (tokens[i + 3] === 'lowerbound' || tokens[i + 3] === 'upperbound') {
+          info.score.bound = tokens[i + 3].replace('bound', '');
+          i += 1;
         }
       }
+      i += 2;
+    } else if (token === 'pv') {
+      info.pv = tokens.slice(i + 1);
+      break;
+    }
+  }
+  return Object.keys(info).length ? info : null;
+}
 
-      const scoreMatch = line.match(/score\s+(cp|mate)\s+(-?\d+)/);
-      if (scoreMatch) {
-        entry.evaluation = {
-          type: scoreMatch[1],
-          value: Number.parseInt(scoreMatch[2], 10),
-        };
-        if (idx === 1) {
-          evaluation = entry.evaluation;
-        }
-      }
+let openSessions = 0;
 
-      const pvMatch = line.match(/\spv\s+(.+)$/);
-      if (pvMatch) {
-        entry.pv = pvMatch[1].trim().split(/\s+/);
-        if (idx === 1) {
-          pv = entry.pv.slice();
-        }
-      }
+/** chess.js rejects Chess960 castling rights, so those FENs are checked by loading them. */
+function validateChess960Fen(fen) {
+  try {
+    createChess960Game(fen);
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.message || 'Invalid Chess960 FEN' };
+  }
+}
 
-      multiPvLines.set(idx, entry);
-    };
+/**
+ * Opens a streaming analysis session on its own engine process. Each
+ * `analyze` call replaces the running search and resolves to its search id;
+ * `onInfo(searchId, info)` receives parsed info lines as the engine prints
+ * them and `onBestMove(searchId, { bestMove, ponder })` the end of a finite
+ * or stopped search. `onClose(err)` reports an engine that went away.
+ */
+function openAnalysisSession({ onInfo, onBestMove, onClose } = {}) {
+  assertConfigured();
+  if (openSessions >= config.stockfishMaxSessions) {
+    const err = new Error('Too many live analysis sessions; try again shortly');
+    err.code = 'ENGINE_BUSY';
+    throw err;
+  }
+  openSessions += 1;
+  const session = createEngineSession({
+    binaryPath: config.stockfishPath,
+    onLine: (searchId, line) => {
+      const info = parseInfoLine(line);
+      if (info) onInfo?.(searchId, info);
+    },
+    onBestMove: (searchId, line) => {
+      const parts = line.split(/\s+/);
+      onBestMove?.(searchId, {
+        bestMove: parts[1] && parts[1] !== '(none)' ? parts[1] : null,
+        ponder: parts[2] === 'ponder' ? parts[3] || null : null,
+      });
+    },
+    onClose: (err) => {
+      openSessions -= 1;
+      onClose?.(err);
+    },
+  });
 
-    let stage = 'uci';
+  function analyze({ fen, moves = [], depth, movetime, infinite, multiPv, chess960 = false } = {}) {
+    if (!fen || typeof fen !== 'string') {
+      const err = new Error('FEN is required for analysis.');
+      err.code = 'INVALID_FEN';
+      return Promise.reject(err);
+    }
+    const validation = chess960 ? validateChess960Fen(fen) : validateFen(fen);
+    if (!validation.ok) {
+      const err = new Error(validation.error);
+      err.code = 'INVALID_FEN';
+      return Promise.reject(err);
+    }
+    let go = 'go infinite';
+    if (!infinite && Number(depth) > 0) {
+      go = `go depth ${Math.min(Math.round(Number(depth)), 99)}`;
+    } else if (!infinite && Number(movetime) > 0) {
+      go = `go movetime ${Math.round(Number(movetime))}`;
+    }
+    let position;
+    try {
+      position = buildPositionCommand(fen, moves);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return session.search({
+      position,
+      go,
+      options: {
+        UCI_Chess960: chess960 ? 'true' : 'false',
+        MultiPV: Math.min(Math.max(Number.parseInt(multiPv, 10) || 1, 1), 10),
+      },
+    });
+  }
 
-    const handleLine = (line) => {
-      if (!line) return;
-      rawOutput += `${line}\n`;
-      const trimmed = line.trim();
-      if (!trimmed) return;
+  return {
+    analyze,
+    stop: session.stop,
+    close: session.close,
+  };
+}
 
-      if (stage === 'uci' && trimmed.includes('uciok')) {
-        const clampedSkill = clampSkillLevel(skillLevel);
-        send(`setoption name Skill Level value ${clampedSkill}`);
-        if (clampedMultiPv > 1) {
-          send(`setoption name MultiPV value ${clampedMultiPv}`);
-        }
-        send('isready');
-        stage = 'isready';
-        return;
-      }
+/**
+ * The FEN the engine ends up analysing once `moves` are played from `fen`,
+ * or null when the moves do not apply (such requests skip the cache).
+ */
+function resolveSearchFen(fen, moves, chess960) {
+  if (!Array.isArray(moves) || moves.length === 0) return fen;
+  try {
+    const chess = chess960 ? createChess960Game(fen) : new Chess(fen);
+    for (const move of moves) {
+      chess.move(uciToMoveInput(String(move).trim()));
+    }
+    return chess.fen();
+  } catch (err) {
+    return null;
+  }
+}
 
-      if (stage === 'isready' && trimmed.includes('readyok')) {
-        const position = buildPositionCommand(fen, moves);
-        send(position);
-        if (typeof depth === 'number' && depth > 0) {
-          send(`go depth ${Math.round(depth)}`);
-        } else {
-          const mt = typeof movetime === 'number' && movetime > 0 ? Math.round(movetime) : DEFAULT_MOVETIME_MS;
-          send(`go movetime ${mt}`);
-        }
-        stage = 'go';
-        return;
-      }
+function stripRawOutput(result) {
+  const { raw, stderr, ...evaluation } = result;
+  return evaluation;
+}
 
-      if (stage === 'go') {
-        if (trimmed.startsWith('info ')) {
-          processInfoLine(trimmed);
-        } else if (trimmed.startsWith('bestmove')) {
-          const parts = trimmed.split(/\s+/);
-          const bestMove = parts[1] || null;
-          const ponderMove = parts[3] === 'ponder' ? parts[4] : parts[2];
-          resolved = true;
-          cleanup();
-          resolve(buildResult(bestMove, ponderMove));
-        }
-      }
-    };
+/**
+ * Depth searches are answered from the evaluation cache when it holds the
+ * position at least as deep; every result reports `cache: 'hit' | 'miss'`.
+ */
+async function getBestMove({ fen, moves = [], movetime, depth, skillLevel, timeoutMs, multiPv, chess960 = false }) {
+  assertConfigured();
+  if (!fen || typeof fen !== 'string') {
+    throw new Error('FEN is required to request a Stockfish move.');
+  }
 
-    rl.on('line', (line) => {
-      handleLine(line);
-    });
+  const clampedMultiPv = Math.min(Math.max(Number.parseInt(multiPv, 10) || 1, 1), 10);
+  const skill = clampSkillLevel(skillLevel);
+  const requestedDepth = typeof depth === 'number' && depth > 0 ? Math.round(depth) : null;
+  const go = requestedDepth
+    ? `go depth ${requestedDepth}`
+    : `go movetime ${typeof movetime === 'number' && movetime > 0 ? Math.round(movetime) : DEFAULT_MOVETIME_MS}`;
+
+  const position = buildPositionCommand(fen, moves);
+  const searchFen = resolveSearchFen(fen, moves, chess960);
+  const settingsKey = `multipv=${clampedMultiPv};skill=${skill};chess960=${chess960 ? 1 : 0}`;
+  if (searchFen && requestedDepth) {
+    const cached = await evaluationCache.lookupEvaluation({ fen: searchFen, settingsKey, depth: requestedDepth });
+    if (cached) {
+      return { ...cached, raw: '', stderr: '', cache: 'hit' };
+    }
+  }
 
-    rl.on('close', () => {
-      if (!resolved) {
-        resolved = true;
-        cleanup();
-        reject(new Error('Stockfish engine closed unexpectedly.'));
-      }
+  // Workers are reused, so every option a previous job may have changed is set explicitly.
+  const { bestMove, ponder, output } = await getEnginePool().search({
+    position,
+    go,
+    options: {
+      'Skill Level': skill,
+      UCI_Chess960: chess960 ? 'true' : 'false',
+      MultiPV: clampedMultiPv,
+    },
+    timeoutMs: typeof timeoutMs === 'number' && timeoutMs > 0 ? timeoutMs : READY_TIMEOUT_MS,
+  });
+  const result = buildSearchResult(output, bestMove, ponder, clampedMultiPv);
+  // Only a finished `go depth N` search is known to be complete to depth N; the
+  // depth a movetime search reports may be an iteration it never finished.
+  if (searchFen && requestedDepth) {
+    evaluationCache.storeEvaluation({
+      fen: searchFen,
+      settingsKey,
+      depth: Math.max(requestedDepth, result.depth || 0),
+      result: stripRawOutput(result),
     });
+  }
+  return { ...result, cache: 'miss' };
+}
 
-    engine.on('error', (err) => {
-      if (resolved) return;
-      resolved = true;
-      cleanup();
-      reject(new Error(`Stockfish error: ${err.message || err}`));
-    });
+/**
+ * Parses a PGN for analysis and rewinds it to the starting position. Returns
+ * `{ chess, verboseMoves, isChess960 }`; throws on missing or invalid PGN.
+ */
+function parseAnalysisPgn(pgn, chess960) {
+  if (!pgn || typeof pgn !== 'string') {
+    throw new Error('PGN is required for analysis.');
+  }
 
-    engine.on('exit', (code, signal) => {
-      if (resolved) return;
-      resolved = true;
-      cleanup();
-      const reason = code !== null ? `exit code ${code}` : `signal ${signal}`;
-      const stderrMsg = stderrBuffer ? `\nStderr:\n${stderrBuffer}` : '';
-      reject(new Error(`Stockfish exited prematurely (${reason}).${stderrMsg}`));
-    });
+  const isChess960 = chess960 === true || /\[Variant\s+"(Chess960|Fischerandom)"\]/i.test(pgn);
+  const chess = isChess960 ? createChess960Game() : new Chess();
+  try {
+    chess.loadPgn(pgn);
+  } catch (err) {
+    throw new Error(`Unable to parse PGN for analysis. ${err.message || ''}`.trim());
+  }
 
-    stage = 'uci';
-    send('uci');
-  });
+  const verboseMoves = chess.history({ verbose: true });
+  // Games set up from a FEN must be replayed from that FEN, not the default start.
+  chess.load(verboseMoves.length ? verboseMoves[0].before : chess.fen());
+  return { chess, verboseMoves, isChess960 };
 }
 
+/**
+ * Evaluates every ply of a PGN. `onProgress` is called after each ply with
+ * `{ ply, totalPlies, entry, annotation }`; aborting `signal` stops the run
+ * before the next ply with an ANALYSIS_CANCELLED error.
+ */
 async function analyzeGame({
   pgn,
   depth,
@@ -417,20 +574,12 @@ async function analyzeGame({
   multiPv,
   maxPlies,
   thresholds = {},
+  chess960,
+  onProgress,
+  signal,
 } = {}) {
   assertConfigured();
-  if (!pgn || typeof pgn !== 'string') {
-    throw new Error('PGN is required for analysis.');
-  }
-
-  const chess = new Chess();
-  const loaded = chess.loadPgn(pgn, { sloppy: true });
-  if (!loaded) {
-    throw new Error('Unable to parse PGN for analysis.');
-  }
-
-  const verboseMoves = chess.history({ verbose: true });
-  chess.reset();
+  const { chess, verboseMoves, isChess960 } = parseAnalysisPgn(pgn, chess960);
 
   const severityThresholds = {
     inaccuracy: Number.isFinite(Number(thresholds.inaccuracy)) ? Number(thresholds.inaccuracy) : 50,
@@ -455,8 +604,23 @@ async function analyzeGame({
   const evaluationGraph = [];
   const annotations = [];
   const errors = [];
+  const cacheUsage = { hits: 0, misses: 0 };
+  const sideStats = {
+    white: { accuracies: [], cpLosses: [], classifications: {} },
+    black: { accuracies: [], cpLosses: [], classifications: {} },
+  };
+  let previousMove = null;
+  const countCacheUse = (result) => {
+    if (result?.cache === 'hit') cacheUsage.hits += 1;
+    else if (result?.cache === 'miss') cacheUsage.misses += 1;
+  };
 
   for (let idx = 0; idx < analysisLimit; idx += 1) {
+    if (signal?.aborted) {
+      const err = new Error('Analysis cancelled');
+      err.code = 'ANALYSIS_CANCELLED';
+      throw err;
+    }
     const move = verboseMoves[idx];
     const ply = idx + 1;
     const moveNumber = Math.floor(idx / 2) + 1;
@@ -472,12 +636,19 @@ async function analyzeGame({
         skillLevel: analysisOptions.skillLevel,
         timeoutMs: analysisOptions.timeoutMs,
         multiPv: clampedMultiPv,
+        chess960: isChess960,
       });
+      countCacheUse(preMoveResult);
     } catch (err) {
       errors.push({ ply, context: 'pre-move', message: err.message || String(err) });
     }
 
-    const applied = chess.move({ from: move.from, to: move.to, promotion: move.promotion });
+    let applied = null;
+    try {
+      applied = chess.move({ from: move.from, to: move.to, promotion: move.promotion });
+    } catch (err) {
+      applied = null;
+    }
     if (!applied) {
       errors.push({ ply, context: 'apply-move', message: `Failed to apply move ${move.san}` });
       break;
@@ -493,7 +664,9 @@ async function analyzeGame({
         skillLevel: analysisOptions.skillLevel,
         timeoutMs: analysisOptions.timeoutMs,
         multiPv: 1,
+        chess960: isChess960,
       });
+      countCacheUse(postMoveResult);
     } catch (err) {
       errors.push({ ply, context: 'post-move', message: err.message || String(err) });
     }
@@ -516,7 +689,36 @@ async function analyzeGame({
       || (Array.isArray(topLine?.pv) && topLine.pv.length ? topLine.pv[0] : null)
       || (Array.isArray(preMoveResult?.pv) && preMoveResult.pv.length ? preMoveResult.pv[0] : null);
 
-    evaluationGraph.push({
+    const capCp = (cp) => Math.max(-MAX_CP_LOSS, Math.min(MAX_CP_LOSS, cp));
+    const cpLoss = deltaScore == null ? null : Math.max(0, capCp(bestEvalScore) - capCp(playerActualScore));
+    const winChanceBefore = winProbability(bestEvalScore);
+    const winChanceAfter = winProbability(playerActualScore);
+    const winLoss = winChanceBefore == null || winChanceAfter == null
+      ? null
+      : Math.max(0, winChanceBefore - winChanceAfter);
+    const accuracy = moveAccuracy(winLoss);
+    const secondLineScore = evaluationToCentipawns(preMoveResult?.lines?.[1]?.evaluation);
+    const classification = classifyMove({
+      isBest: Boolean(recommendedMove) && recommendedMove === createUci(applied),
+      cpLoss,
+      winLoss,
+      winChanceAfter,
+      severity,
+      secondLineWinGap: secondLineScore == null ? null : winChanceBefore - winProbability(secondLineScore),
+      missBaseline: ['mistake', 'blunder'].includes(previousMove?.classification)
+        ? 100 - previousMove.winChanceBefore
+        : null,
+    });
+    previousMove = { classification, winChanceBefore };
+
+    const stats = sideStats[playerColor];
+    if (accuracy != null) stats.accuracies.push(accuracy);
+    if (cpLoss != null) stats.cpLosses.push(cpLoss);
+    if (classification) {
+      stats.classifications[classification] = (stats.classifications[classification] || 0) + 1;
+    }
+
+    const entry = {
       ply,
       moveNumber,
       player: playerColor,
@@ -529,24 +731,46 @@ async function analyzeGame({
       scoreCp: postEvalScore,
       scoreCpWhite: scoreWhite,
       principalVariation: Array.isArray(postMoveResult?.pv) ? postMoveResult.pv.slice() : [],
-    });
+      winChanceWhite: roundTo(winProbability(scoreWhite)),
+      winChanceBefore: roundTo(winChanceBefore),
+      winChanceAfter: roundTo(winChanceAfter),
+      cpLoss,
+      accuracy: roundTo(accuracy),
+      classification,
+    };
+    evaluationGraph.push(entry);
 
+    let annotation = null;
     if (severity) {
-      annotations.push({
+      annotation = {
         ply,
         moveNumber,
         player: playerColor,
         san: applied.san,
         severity,
+        classification,
         deltaCp: deltaScore,
         bestScoreCp: bestEvalScore,
         actualScoreCp: playerActualScore,
         recommendedMove,
         recommendedLine: Array.isArray(topLine?.pv) ? topLine.pv.slice() : [],
-      });
+      };
+      annotations.push(annotation);
+    }
+
+    if (onProgress) {
+      onProgress({ ply, totalPlies: analysisLimit, entry, annotation });
     }
   }
 
+  const summarizeSide = ({ accuracies, cpLosses, classifications }) => ({
+    accuracy: roundTo(gameAccuracy(accuracies)),
+    acpl: cpLosses.length
+      ? Math.round(cpLosses.reduce((sum, value) => sum + value, 0) / cpLosses.length)
+      : null,
+    classifications,
+  });
+
   return {
     meta: {
       totalPlies: verboseMoves.length,
@@ -555,6 +779,11 @@ async function analyzeGame({
       depth: analysisOptions.depth ?? null,
       movetime: analysisOptions.movetime ?? null,
       finalFen: chess.fen(),
+      cache: cacheUsage,
+      players: {
+        white: summarizeSide(sideStats.white),
+        black: summarizeSide(sideStats.black),
+      },
     },
     evaluationGraph,
     annotations,
@@ -565,4 +794,9 @@ async function analyzeGame({
 module.exports = {
   getBestMove,
   analyzeGame,
+  parseAnalysisPgn,
+  parseInfoLine,
+  openAnalysisSession,
+  getEnginePoolStats,
+  shutdownEnginePool,
 };
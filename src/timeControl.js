@@ -0,0 +1,44 @@
+const MAX_BASE_MINUTES = 180;
+const MAX_INCREMENT_SECONDS = 180;
+
+/**
+ * Parses a time control given either as a "base+increment" string (minutes and
+ * seconds, e.g. "5+3") or as an object `{ base, increment }` in the same units.
+ * Returns null for untimed games and throws on malformed input.
+ */
+function parseTimeControl(raw) {
+  if (raw == null || raw === '' || raw === 'unlimited') return null;
+
+  let base;
+  let increment;
+  if (typeof raw === 'string') {
+    const match = raw.trim().match(/^(\d+(?:\.\d+)?)\s*\+\s*(\d+)$/);
+    if (!match) throw new Error('Time control must look like "5+3"');
+    base = Number(match[1]);
+    increment = Number(match[2]);
+  } else if (typeof raw === 'object') {
+    base = Number(raw.base);
+    increment = Number(raw.increment ?? 0);
+  } else {
+    throw new Error('Unsupported time control format');
+  }
+
+  if (!Number.isFinite(base) || base <= 0 || base > MAX_BASE_MINUTES) {
+    throw new Error(`Base time must be between 0 and ${MAX_BASE_MINUTES} minutes`);
+  }
+  if (!Number.isInteger(increment) || increment < 0 || increment > MAX_INCREMENT_SECONDS) {
+    throw new Error(`Increment must be between 0 and ${MAX_INCREMENT_SECONDS} seconds`);
+  }
+
+  return {
+    baseMs: Math.round(base * 60_000),
+    incrementMs: increment * 1000,
+    label: `${base}+${increment}`,
+  };
+}
+
+module.exports = {
+  MAX_BASE_MINUTES,
+  MAX_INCREMENT_SECONDS,
+  parseTimeControl,
+};
@@ -0,0 +1,797 @@
+/*
+ * Tournaments on top of the online lobbies. Arena events run for a fixed time
+ * and re-pair players as soon as they are free, with double points while a
+ * player is on a winning streak; Swiss events play a fixed number of rounds
+ * with score-group pairings and Buchholz tiebreaks.
+ *
+ * Running tournaments are kept in memory by the instance that runs the
+ * scheduler and written through to Postgres. New pairings are emitted on
+ * `tournamentEvents` ('pairings') for the online play server to turn into
+ * games; it reports finished games back through recordPairingResult. Every
+ * change to a tournament is emitted as 'update'.
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const store = require('./tournamentStore');
+const ratingService = require('./ratingService');
+const { findUserById } = require('./userService');
+const { parseTimeControl } = require('./timeControl');
+
+const FORMATS = ['arena', 'swiss'];
+const NAME_MAX_LENGTH = 80;
+const DEFAULT_DURATION_MINUTES = 60;
+const MIN_DURATION_MINUTES = 5;
+const MAX_DURATION_MINUTES = 720;
+const DEFAULT_ROUNDS = 5;
+const MIN_ROUNDS = 1;
+const MAX_ROUNDS = 15;
+const DEFAULT_START_DELAY_MS = 5 * 60_000;
+const MAX_START_DELAY_MS = 30 * 24 * 60 * 60_000;
+const DEFAULT_TICK_INTERVAL_MS = 2_000;
+const SWISS_ROUND_DELAY_MS = 10_000;
+const ORPHANED_PAIRING_GRACE_MS = 60_000;
+// How often unowned tournaments (e.g. left by a stopped instance) are looked for.
+const ADOPT_INTERVAL_MS = 10_000;
+// Bounds the Swiss pairing search before it falls back to allowing rematches.
+const SWISS_PAIRING_BUDGET = 20_000;
+
+const TOURNAMENTS = new Map(); // tournamentId -> unfinished tournament
+const tournamentEvents = new EventEmitter();
+// A single instance drives each running tournament; see startTournamentScheduler.
+const SINGLE_INSTANCE_OWNERSHIP = { claim: async () => true, release: async () => {} };
+let ownership = SINGLE_INSTANCE_OWNERSHIP;
+
+function tournamentError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function logPersistError(tournamentId, err) {
+  console.error('Failed to persist tournament', tournamentId, err?.message || err);
+}
+
+function releaseTournament(tournament) {
+  TOURNAMENTS.delete(tournament.id);
+  ownership.release(tournament.id).catch((err) => {
+    console.error('Failed to release tournament', tournament.id, err?.message || err);
+  });
+}
+
+function persistTournament(tournament) {
+  store.saveTournament(tournament).catch((err) => logPersistError(tournament.id, err));
+}
+
+function persistPlayer(tournament, player) {
+  store.saveTournamentPlayer(tournament.id, player).catch((err) => logPersistError(tournament.id, err));
+}
+
+function persistPairing(tournament, pairing) {
+  store.saveTournamentPairing(tournament.id, pairing).catch((err) => logPersistError(tournament.id, err));
+}
+
+function getSpeed(tournament) {
+  return ratingService.getSpeedForTimeControl(parseTimeControl(tournament.timeControl));
+}
+
+function getActivePairings(tournament) {
+  return Array.from(tournament.pairings.values()).filter((pairing) => !pairing.result);
+}
+
+function getActivePairingFor(tournament, userId) {
+  return getActivePairings(tournament).find((pairing) => pairing.white === userId || pairing.black === userId);
+}
+
+function countColors(player) {
+  return player.results.reduce((counts, entry) => {
+    if (entry.color) counts[entry.color] += 1;
+    return counts;
+  }, { white: 0, black: 0 });
+}
+
+function getLastColor(player) {
+  for (let i = player.results.length - 1; i >= 0; i -= 1) {
+    if (player.results[i].color) return player.results[i].color;
+  }
+  return null;
+}
+
+function hasPlayed(player, opponentId) {
+  return player.results.some((entry) => entry.opponentId === opponentId);
+}
+
+function compareStanding(tournament) {
+  return (a, b) => (
+    (b.score - a.score)
+    || (tournament.format === 'swiss' ? b.tiebreak - a.tiebreak : 0)
+    || (b.rating - a.rating)
+    || a.userId.localeCompare(b.userId)
+  );
+}
+
+/** Buchholz: the sum of the current scores of every opponent faced. */
+function updateStandings(tournament) {
+  const players = Array.from(tournament.players.values());
+  if (tournament.format === 'swiss') {
+    players.forEach((player) => {
+      player.tiebreak = player.results.reduce((sum, entry) => (
+        sum + (entry.opponentId ? tournament.players.get(entry.opponentId)?.score || 0 : 0)
+      ), 0);
+    });
+  }
+  players.sort(compareStanding(tournament)).forEach((player, index) => {
+    player.rank = index + 1;
+  });
+  return players;
+}
+
+function describeTournament(tournament) {
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    format: tournament.format,
+    status: tournament.status,
+    createdBy: tournament.createdBy,
+    timeControl: tournament.timeControl,
+    rated: tournament.rated,
+    durationMinutes: tournament.durationMinutes,
+    rounds: tournament.rounds,
+    currentRound: tournament.currentRound,
+    startsAt: tournament.startsAt,
+    startedAt: tournament.startedAt,
+    endsAt: tournament.endsAt,
+    finishedAt: tournament.finishedAt,
+    playerCount: tournament.players.size,
+  };
+}
+
+function getStandings(tournament) {
+  return updateStandings(tournament).map((player) => {
+    const tally = { wins: 0, draws: 0, losses: 0 };
+    player.results.forEach((entry) => {
+      if (entry.outcome === 'win' || entry.outcome === 'bye') tally.wins += 1;
+      if (entry.outcome === 'draw') tally.draws += 1;
+      if (entry.outcome === 'loss') tally.losses += 1;
+    });
+    return {
+      rank: player.rank,
+      userId: player.userId,
+      username: player.username,
+      rating: player.rating,
+      score: player.score,
+      ...(tournament.format === 'swiss' ? { buchholz: player.tiebreak } : { streak: player.streak }),
+      games: player.results.length,
+      ...tally,
+      withdrawn: player.withdrawn,
+      paused: player.paused,
+    };
+  });
+}
+
+function describePairing(tournament, pairing) {
+  const name = (userId) => (userId ? tournament.players.get(userId)?.username || null : null);
+  return {
+    id: pairing.id,
+    round: pairing.round,
+    white: pairing.white ? { userId: pairing.white, username: name(pairing.white) } : null,
+    black: pairing.black ? { userId: pairing.black, username: name(pairing.black) } : null,
+    gameId: pairing.gameId,
+    result: pairing.result,
+    reason: pairing.reason,
+  };
+}
+
+/** Swiss views list the current round; arena views list the games in progress. */
+function getCurrentPairings(tournament) {
+  const pairings = Array.from(tournament.pairings.values()).filter((pairing) => (
+    tournament.format === 'swiss' ? pairing.round === tournament.currentRound : !pairing.result
+  ));
+  return pairings.map((pairing) => describePairing(tournament, pairing));
+}
+
+function describeTournamentView(tournament) {
+  return {
+    ...describeTournament(tournament),
+    standings: getStandings(tournament),
+    pairings: getCurrentPairings(tournament),
+  };
+}
+
+function publish(tournament) {
+  tournamentEvents.emit('update', tournament);
+}
+
+function publishPairings(tournament, pairings) {
+  if (pairings.length) {
+    tournamentEvents.emit('pairings', tournament, pairings);
+  }
+}
+
+function hydrateTournament(record) {
+  const { players = [], pairings = [], ...fields } = record;
+  return {
+    ...fields,
+    nextRoundAt: null,
+    players: new Map(players.map((player) => [player.userId, player])),
+    pairings: new Map(pairings.map((pairing) => [pairing.id, pairing])),
+  };
+}
+
+async function loadTournament(tournamentId) {
+  const loaded = TOURNAMENTS.get(tournamentId);
+  if (loaded) return loaded;
+  const record = await store.findTournament(tournamentId);
+  if (!record) {
+    throw tournamentError('TOURNAMENT_NOT_FOUND', 'Tournament not found');
+  }
+  return TOURNAMENTS.get(tournamentId) || hydrateTournament(record);
+}
+
+function getRunningTournament(tournamentId) {
+  const tournament = TOURNAMENTS.get(tournamentId);
+  if (!tournament) {
+    throw tournamentError('TOURNAMENT_NOT_FOUND', 'Tournament not found or already finished');
+  }
+  return tournament;
+}
+
+function parseStartsAt(raw, now) {
+  if (raw == null || raw === '') return new Date(now + DEFAULT_START_DELAY_MS);
+  const startsAt = new Date(raw);
+  const time = startsAt.getTime();
+  if (!Number.isFinite(time) || time < now - 60_000 || time > now + MAX_START_DELAY_MS) {
+    throw tournamentError('INVALID_START_TIME', 'startsAt must be a date within the next 30 days');
+  }
+  return new Date(Math.max(time, now));
+}
+
+function parseBoundedInteger(raw, fallback, min, max, code, label) {
+  const value = raw == null || raw === '' ? fallback : Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw tournamentError(code, `${label} must be between ${min} and ${max}`);
+  }
+  return value;
+}
+
+async function createTournament({
+  userId,
+  name,
+  format,
+  timeControl,
+  rated = false,
+  durationMinutes,
+  rounds,
+  startsAt,
+} = {}) {
+  if (!FORMATS.includes(format)) {
+    throw tournamentError('INVALID_FORMAT', `format must be one of ${FORMATS.join(', ')}`);
+  }
+  let parsedTimeControl;
+  try {
+    parsedTimeControl = parseTimeControl(timeControl);
+  } catch (err) {
+    throw tournamentError('INVALID_TIME_CONTROL', err.message);
+  }
+  if (!parsedTimeControl) {
+    throw tournamentError('INVALID_TIME_CONTROL', 'Tournaments need a timed control such as "3+2"');
+  }
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (trimmedName.length > NAME_MAX_LENGTH) {
+    throw tournamentError('INVALID_NAME', `name must be at most ${NAME_MAX_LENGTH} characters`);
+  }
+
+  const now = Date.now();
+  const isArena = format === 'arena';
+  const tournament = {
+    id: uuidv4(),
+    name: trimmedName || `${parsedTimeControl.label} ${isArena ? 'Arena' : 'Swiss'}`,
+    format,
+    status: 'created',
+    createdBy: null,
+    timeControl: parsedTimeControl.label,
+    rated: rated === true,
+    durationMinutes: isArena
+      ? parseBoundedInteger(durationMinutes, DEFAULT_DURATION_MINUTES, MIN_DURATION_MINUTES, MAX_DURATION_MINUTES,
+        'INVALID_DURATION', 'durationMinutes')
+      : null,
+    rounds: isArena
+      ? null
+      : parseBoundedInteger(rounds, DEFAULT_ROUNDS, MIN_ROUNDS, MAX_ROUNDS, 'INVALID_ROUNDS', 'rounds'),
+    currentRound: 0,
+    startsAt: parseStartsAt(startsAt, now).toISOString(),
+    startedAt: null,
+    endsAt: null,
+    finishedAt: null,
+    createdAt: new Date(now).toISOString(),
+    nextRoundAt: null,
+    players: new Map(),
+    pairings: new Map(),
+  };
+
+  const creator = await findUserById(userId);
+  if (!creator) {
+    throw tournamentError('USER_NOT_FOUND', 'User not found');
+  }
+  tournament.createdBy = creator.id;
+
+  // Claimed before it is saved so no other instance can adopt it first.
+  if (!(await ownership.claim(tournament.id))) {
+    throw tournamentError('TOURNAMENT_UNAVAILABLE', 'Tournament could not be created; try again');
+  }
+  try {
+    await store.saveTournament(tournament);
+  } catch (err) {
+    ownership.release(tournament.id).catch(() => {});
+    throw err;
+  }
+  TOURNAMENTS.set(tournament.id, tournament);
+  publish(tournament);
+  return describeTournamentView(tournament);
+}
+
+async function joinTournament({ tournamentId, userId }) {
+  let tournament = getRunningTournament(tournamentId);
+  if (tournament.format === 'swiss' && tournament.status === 'started'
+    && tournament.currentRound >= tournament.rounds) {
+    throw tournamentError('JOIN_CLOSED', 'The last round has already started');
+  }
+
+  const existing = tournament.players.get(userId);
+  if (existing) {
+    if (existing.withdrawn || existing.paused) {
+      existing.withdrawn = false;
+      existing.paused = false;
+      persistPlayer(tournament, existing);
+      publish(tournament);
+    }
+    return describeTournamentView(tournament);
+  }
+
+  const user = await findUserById(userId);
+  if (!user) {
+    throw tournamentError('USER_NOT_FOUND', 'User not found');
+  }
+  const { rating } = await ratingService.getSpeedRating(user.id, getSpeed(tournament));
+
+  tournament = getRunningTournament(tournamentId);
+  if (!tournament.players.has(user.id)) {
+    const player = {
+      userId: user.id,
+      username: user.username,
+      rating: Math.round(rating),
+      score: 0,
+      tiebreak: 0,
+      streak: 0,
+      results: [],
+      withdrawn: false,
+      paused: false,
+      rank: null,
+      joinedAt: new Date().toISOString(),
+    };
+    tournament.players.set(user.id, player);
+    updateStandings(tournament);
+    persistPlayer(tournament, player);
+    publish(tournament);
+  }
+  return describeTournamentView(tournament);
+}
+
+/**
+ * Before the start a withdrawal removes the entry. Afterwards the player keeps
+ * their score but is no longer paired; a game in progress still counts.
+ */
+async function withdrawFromTournament({ tournamentId, userId }) {
+  const tournament = getRunningTournament(tournamentId);
+  const player = tournament.players.get(userId);
+  if (!player) {
+    throw tournamentError('NOT_JOINED', 'You have not joined this tournament');
+  }
+  if (tournament.status === 'created') {
+    tournament.players.delete(userId);
+    store.deleteTournamentPlayer(tournament.id, userId).catch((err) => logPersistError(tournament.id, err));
+  } else {
+    player.withdrawn = true;
+    persistPlayer(tournament, player);
+  }
+  publish(tournament);
+  return describeTournamentView(tournament);
+}
+
+async function getTournament(tournamentId) {
+  return describeTournamentView(await loadTournament(tournamentId));
+}
+
+async function getTournamentStandings(tournamentId) {
+  return getStandings(await loadTournament(tournamentId));
+}
+
+async function listTournaments({ status, limit } = {}) {
+  const tournaments = await store.listTournaments({ status, limit });
+  return tournaments.map((tournament) => {
+    const loaded = TOURNAMENTS.get(tournament.id);
+    return loaded ? describeTournament(loaded) : tournament;
+  });
+}
+
+function createPairing(tournament, white, black) {
+  const pairing = {
+    id: uuidv4(),
+    round: tournament.currentRound,
+    white: white.userId,
+    black: black ? black.userId : null,
+    gameId: null,
+    result: null,
+    reason: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  tournament.pairings.set(pairing.id, pairing);
+  return pairing;
+}
+
+/**
+ * Gives white to whoever has had it less, then alternates from each player's
+ * last game; otherwise the higher-ranked player gets white in odd rounds.
+ */
+function assignColors(first, second, round) {
+  const firstCounts = countColors(first);
+  const secondCounts = countColors(second);
+  const firstBalance = firstCounts.white - firstCounts.black;
+  const secondBalance = secondCounts.white - secondCounts.black;
+  if (firstBalance !== secondBalance) {
+    return firstBalance < secondBalance ? [first, second] : [second, first];
+  }
+  const firstLast = getLastColor(first);
+  const secondLast = getLastColor(second);
+  if (firstLast && firstLast !== secondLast) {
+    return firstLast === 'black' ? [first, second] : [second, first];
+  }
+  return round % 2 === 1 ? [first, second] : [second, first];
+}
+
+function scoreFor(tournament, player, outcome) {
+  if (tournament.format === 'swiss') {
+    return { win: 1, draw: 0.5, bye: 1 }[outcome] || 0;
+  }
+  const base = { win: 2, draw: 1 }[outcome] || 0;
+  return player.streak >= 2 ? base * 2 : base;
+}
+
+function getOutcome(result, color) {
+  if (result === '1/2-1/2') return 'draw';
+  if (result === '1-0') return color === 'white' ? 'win' : 'loss';
+  if (result === '0-1') return color === 'black' ? 'win' : 'loss';
+  return 'aborted';
+}
+
+function applyResult(tournament, pairing, player, color, outcome, { forfeit = false } = {}) {
+  const opponentId = color === 'white' ? pairing.black : pairing.white;
+  // Arena forfeits are not scored: the present player simply goes back into the pool.
+  const scored = outcome !== 'aborted' && !(forfeit && tournament.format === 'arena');
+  const points = scored ? scoreFor(tournament, player, outcome) : 0;
+  player.score += points;
+  if (tournament.format === 'arena' && scored) {
+    player.streak = outcome === 'win' ? player.streak + 1 : 0;
+  }
+  player.results.push({
+    pairingId: pairing.id,
+    round: pairing.round,
+    opponentId,
+    color: outcome === 'bye' ? null : color,
+    outcome,
+    points,
+    forfeit,
+  });
+}
+
+function finishTournament(tournament) {
+  tournament.status = 'finished';
+  tournament.finishedAt = new Date().toISOString();
+  tournament.nextRoundAt = null;
+  updateStandings(tournament);
+  persistTournament(tournament);
+  tournament.players.forEach((player) => persistPlayer(tournament, player));
+  releaseTournament(tournament);
+  publish(tournament);
+}
+
+/**
+ * Orders candidate opponents for the top remaining player: first their own
+ * score group, starting from its middle so the top half meets the bottom
+ * half, then the nearest groups below and above.
+ */
+function orderSwissCandidates(first, rest) {
+  const group = rest.filter((player) => player.score === first.score);
+  const half = Math.floor((group.length + 1) / 2) - 1;
+  const inGroup = group.slice(Math.max(half, 0)).concat(group.slice(0, Math.max(half, 0)).reverse());
+  const others = rest
+    .filter((player) => player.score !== first.score)
+    .sort((a, b) => Math.abs(a.score - first.score) - Math.abs(b.score - first.score));
+  return inGroup.concat(others);
+}
+
+function searchSwissPairs(remaining, allowRematches, budget) {
+  if (!remaining.length) return [];
+  const [first, ...rest] = remaining;
+  for (const opponent of orderSwissCandidates(first, rest)) {
+    budget.steps += 1;
+    if (budget.steps > SWISS_PAIRING_BUDGET) return null;
+    if (!allowRematches && hasPlayed(first, opponent.userId)) continue;
+    const pairs = searchSwissPairs(rest.filter((player) => player !== opponent), allowRematches, budget);
+    if (pairs) return [[first, opponent], ...pairs];
+  }
+  return null;
+}
+
+/**
+ * Pairs a Swiss round. Players are ranked by score then rating; with an odd
+ * count the lowest-ranked player without a bye sits out. Rematches are only
+ * allowed when no pairing without them exists.
+ */
+function pairSwissPlayers(players) {
+  const ranked = players.slice().sort((a, b) => (b.score - a.score) || (b.rating - a.rating));
+  let bye = null;
+  if (ranked.length % 2 === 1) {
+    const candidates = ranked.slice().reverse();
+    bye = candidates.find((player) => !player.results.some((entry) => entry.outcome === 'bye')) || candidates[0];
+  }
+  const remaining = ranked.filter((player) => player !== bye);
+  const pairs = searchSwissPairs(remaining, false, { steps: 0 })
+    || searchSwissPairs(remaining, true, { steps: 0 });
+  return { pairs, bye };
+}
+
+function startNextSwissRound(tournament) {
+  const players = Array.from(tournament.players.values()).filter((player) => !player.withdrawn);
+  if (players.length < 2 || tournament.currentRound >= tournament.rounds) {
+    finishTournament(tournament);
+    return;
+  }
+
+  tournament.currentRound += 1;
+  tournament.nextRoundAt = null;
+  const { pairs, bye } = pairSwissPlayers(players);
+  const pairings = pairs.map(([first, second]) => {
+    const [white, black] = assignColors(first, second, tournament.currentRound);
+    return createPairing(tournament, white, black);
+  });
+  if (bye) {
+    const pairing = createPairing(tournament, bye, null);
+    pairing.result = 'bye';
+    pairing.reason = 'bye';
+    pairing.finishedAt = pairing.createdAt;
+    applyResult(tournament, pairing, bye, 'white', 'bye');
+    persistPlayer(tournament, bye);
+    pairings.push(pairing);
+  }
+
+  updateStandings(tournament);
+  persistTournament(tournament);
+  pairings.forEach((pairing) => persistPairing(tournament, pairing));
+  publish(tournament);
+  publishPairings(tournament, pairings);
+}
+
+/**
+ * Pairs every idle arena player, best score first, avoiding an immediate
+ * rematch with the previous opponent whenever someone else is free.
+ */
+function pairArenaPlayers(tournament) {
+  const idle = Array.from(tournament.players.values())
+    .filter((player) => !player.withdrawn && !player.paused && !getActivePairingFor(tournament, player.userId))
+    .sort(compareStanding(tournament));
+  const pairings = [];
+  while (idle.length >= 2) {
+    const first = idle.shift();
+    const lastOpponent = first.results.length ? first.results[first.results.length - 1].opponentId : null;
+    let index = idle.findIndex((player) => player.userId !== lastOpponent);
+    if (index === -1) index = 0;
+    const [second] = idle.splice(index, 1);
+    const [white, black] = assignColors(first, second, 1);
+    pairings.push(createPairing(tournament, white, black));
+  }
+  if (pairings.length) {
+    pairings.forEach((pairing) => persistPairing(tournament, pairing));
+    publish(tournament);
+    publishPairings(tournament, pairings);
+  }
+}
+
+function startTournament(tournament) {
+  const entrants = Array.from(tournament.players.values()).filter((player) => !player.withdrawn);
+  if (entrants.length < 2) {
+    tournament.status = 'cancelled';
+    tournament.finishedAt = new Date().toISOString();
+    persistTournament(tournament);
+    releaseTournament(tournament);
+    publish(tournament);
+    return;
+  }
+
+  const now = Date.now();
+  tournament.status = 'started';
+  tournament.startedAt = new Date(now).toISOString();
+  if (tournament.format === 'arena') {
+    tournament.endsAt = new Date(now + tournament.durationMinutes * 60_000).toISOString();
+    persistTournament(tournament);
+    publish(tournament);
+    pairArenaPlayers(tournament);
+  } else {
+    startNextSwissRound(tournament);
+  }
+}
+
+/** Links a launched pairing to its online game id. */
+function attachPairingGame({ tournamentId, pairingId, gameId }) {
+  const tournament = TOURNAMENTS.get(tournamentId);
+  const pairing = tournament?.pairings.get(pairingId);
+  if (!pairing || pairing.result) return;
+  pairing.gameId = gameId;
+  persistPairing(tournament, pairing);
+}
+
+/**
+ * Scores a finished pairing. `absent` lists players who were not available
+ * when the game was due to start: they are paused in an arena and withdrawn
+ * from a Swiss until they join again.
+ */
+function recordPairingResult({ tournamentId, pairingId, result, reason, absent = [] }) {
+  const tournament = TOURNAMENTS.get(tournamentId);
+  const pairing = tournament?.pairings.get(pairingId);
+  if (!pairing || pairing.result) return;
+
+  pairing.result = result;
+  pairing.reason = reason;
+  pairing.finishedAt = new Date().toISOString();
+  const forfeit = absent.length > 0;
+  [['white', pairing.white], ['black', pairing.black]].forEach(([color, userId]) => {
+    const player = tournament.players.get(userId);
+    if (!player) return;
+    applyResult(tournament, pairing, player, color, getOutcome(result, color), { forfeit });
+    if (absent.includes(userId)) {
+      if (tournament.format === 'arena') {
+        player.paused = true;
+      } else {
+        player.withdrawn = true;
+      }
+    }
+    persistPlayer(tournament, player);
+  });
+  updateStandings(tournament);
+  persistPairing(tournament, pairing);
+
+  if (tournament.format === 'swiss' && !getActivePairings(tournament).length) {
+    if (tournament.currentRound >= tournament.rounds) {
+      finishTournament(tournament);
+      return;
+    }
+    tournament.nextRoundAt = Date.now() + SWISS_ROUND_DELAY_MS;
+  }
+  publish(tournament);
+}
+
+async function abortOrphanedPairings(tournament, isGameLive, now) {
+  const overdue = getActivePairings(tournament)
+    .filter((pairing) => now - new Date(pairing.createdAt).getTime() >= ORPHANED_PAIRING_GRACE_MS);
+  for (const pairing of overdue) {
+    if (pairing.gameId && await isGameLive(pairing.gameId)) continue;
+    // Skipped if the game reported a result while liveness was being checked.
+    recordPairingResult({ tournamentId: tournament.id, pairingId: pairing.id, result: '*', reason: 'aborted' });
+  }
+}
+
+async function tickTournament(tournament, { isGameLive, now = Date.now() } = {}) {
+  if (tournament.status === 'created') {
+    if (new Date(tournament.startsAt).getTime() <= now) startTournament(tournament);
+    return;
+  }
+  if (tournament.status !== 'started') return;
+
+  if (isGameLive) await abortOrphanedPairings(tournament, isGameLive, now);
+  if (!TOURNAMENTS.has(tournament.id)) return;
+
+  if (tournament.format === 'swiss') {
+    if (tournament.nextRoundAt && tournament.nextRoundAt <= now) startNextSwissRound(tournament);
+    return;
+  }
+  // Arena games still in progress at the deadline count; the event closes once they end.
+  if (new Date(tournament.endsAt).getTime() > now) {
+    pairArenaPlayers(tournament);
+  } else if (!getActivePairings(tournament).length) {
+    finishTournament(tournament);
+  }
+}
+
+/** Loads the unfinished tournaments this instance manages to claim. */
+async function restoreTournaments() {
+  const ids = await store.listUnfinishedTournamentIds();
+  let restored = 0;
+  for (const id of ids) {
+    if (TOURNAMENTS.has(id)) continue;
+    try {
+      if (!(await ownership.claim(id))) continue;
+      const record = await store.findTournament(id);
+      if (!record || !['created', 'started'].includes(record.status)) {
+        await ownership.release(id);
+        continue;
+      }
+      const tournament = hydrateTournament(record);
+      if (tournament.format === 'swiss' && tournament.status === 'started'
+        && !getActivePairings(tournament).length) {
+        tournament.nextRoundAt = Date.now() + SWISS_ROUND_DELAY_MS;
+      }
+      TOURNAMENTS.set(tournament.id, tournament);
+      restored += 1;
+    } catch (err) {
+      console.error('Failed to restore tournament', id, err?.message || err);
+    }
+  }
+  return restored;
+}
+
+/**
+ * Restores unfinished tournaments and drives them forward. `isGameLive`
+ * tells the scheduler whether an online game still exists anywhere (it may
+ * return a promise), so pairings whose game vanished (e.g. across a restart
+ * without lobby persistence) are aborted instead of blocking the event.
+ *
+ * With several instances pass `ownership` ({ claim(id), release(id) }, both
+ * async): only the instance holding a tournament restores and ticks it, and
+ * tournaments whose owner went away are adopted on a later pass. Returns a
+ * function that stops the scheduler.
+ */
+function startTournamentScheduler({
+  intervalMs = DEFAULT_TICK_INTERVAL_MS,
+  isGameLive,
+  ownership: clusterOwnership = SINGLE_INSTANCE_OWNERSHIP,
+} = {}) {
+  ownership = clusterOwnership;
+  let ready = false;
+  let ticking = false;
+  let nextAdoptAt = Date.now() + ADOPT_INTERVAL_MS;
+  restoreTournaments()
+    .catch((err) => console.error('Failed to restore tournaments', err?.message || err))
+    .finally(() => {
+      ready = true;
+    });
+  const tick = async () => {
+    if (!ready || ticking) return;
+    ticking = true;
+    try {
+      if (Date.now() >= nextAdoptAt) {
+        nextAdoptAt = Date.now() + ADOPT_INTERVAL_MS;
+        await restoreTournaments()
+          .catch((err) => console.error('Failed to adopt tournaments', err?.message || err));
+      }
+      for (const tournament of Array.from(TOURNAMENTS.values())) {
+        try {
+          await tickTournament(tournament, { isGameLive });
+        } catch (err) {
+          console.error('Tournament tick failed', tournament.id, err?.message || err);
+        }
+      }
+    } finally {
+      ticking = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  FORMATS,
+  tournamentEvents,
+  createTournament,
+  joinTournament,
+  withdrawFromTournament,
+  getTournament,
+  getTournamentStandings,
+  listTournaments,
+  describeTournamentView,
+  describePairing,
+  attachPairingGame,
+  recordPairingResult,
+  startTournamentScheduler,
+};
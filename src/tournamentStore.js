@@ -0,0 +1,294 @@
+const { query } = require('./db');
+
+let schemaReady = null;
+const writeChains = new Map(); // tournamentId -> promise of the last queued write
+
+function ensureTournamentSchema() {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      await query(
+        `CREATE TABLE IF NOT EXISTS tournaments (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          format TEXT NOT NULL,
+          status TEXT NOT NULL,
+          created_by TEXT NOT NULL,
+          time_control TEXT,
+          rated BOOLEAN NOT NULL DEFAULT FALSE,
+          duration_minutes INTEGER,
+          rounds INTEGER,
+          current_round INTEGER NOT NULL DEFAULT 0,
+          starts_at TIMESTAMPTZ NOT NULL,
+          started_at TIMESTAMPTZ,
+          ends_at TIMESTAMPTZ,
+          finished_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`
+      );
+      await query(
+        `CREATE TABLE IF NOT EXISTS tournament_players (
+          tournament_id TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          username TEXT,
+          rating REAL NOT NULL,
+          score REAL NOT NULL DEFAULT 0,
+          tiebreak REAL NOT NULL DEFAULT 0,
+          streak INTEGER NOT NULL DEFAULT 0,
+          results_json JSONB NOT NULL DEFAULT '[]'::jsonb,
+          withdrawn BOOLEAN NOT NULL DEFAULT FALSE,
+          paused BOOLEAN NOT NULL DEFAULT FALSE,
+          rank INTEGER,
+          joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (tournament_id, user_id)
+        )`
+      );
+      await query(
+        `CREATE TABLE IF NOT EXISTS tournament_pairings (
+          id TEXT PRIMARY KEY,
+          tournament_id TEXT NOT NULL,
+          round INTEGER NOT NULL,
+          white_user_id TEXT,
+          black_user_id TEXT,
+          game_id TEXT,
+          result TEXT,
+          reason TEXT,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          finished_at TIMESTAMPTZ
+        )`
+      );
+      await query(
+        'CREATE INDEX IF NOT EXISTS tournaments_status_idx ON tournaments (status, starts_at)'
+      );
+      await query(
+        'CREATE INDEX IF NOT EXISTS tournament_pairings_tournament_idx ON tournament_pairings (tournament_id, round)'
+      );
+    })().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+/** Same ordering guarantee as the lobby store, per tournament. */
+function enqueueWrite(tournamentId, write) {
+  const previous = writeChains.get(tournamentId) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      await ensureTournamentSchema();
+      return write();
+    });
+  writeChains.set(tournamentId, next);
+  next.finally(() => {
+    if (writeChains.get(tournamentId) === next) writeChains.delete(tournamentId);
+  }).catch(() => {});
+  return next;
+}
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function mapTournamentRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    format: row.format,
+    status: row.status,
+    createdBy: row.created_by,
+    timeControl: row.time_control,
+    rated: row.rated,
+    durationMinutes: row.duration_minutes,
+    rounds: row.rounds,
+    currentRound: row.current_round,
+    startsAt: row.starts_at,
+    startedAt: row.started_at,
+    endsAt: row.ends_at,
+    finishedAt: row.finished_at,
+    createdAt: row.created_at,
+  };
+}
+
+function mapPlayerRow(row) {
+  return {
+    userId: row.user_id,
+    username: row.username,
+    rating: row.rating,
+    score: row.score,
+    tiebreak: row.tiebreak,
+    streak: row.streak,
+    results: parseJson(row.results_json) || [],
+    withdrawn: row.withdrawn,
+    paused: row.paused,
+    rank: row.rank,
+    joinedAt: row.joined_at,
+  };
+}
+
+function mapPairingRow(row) {
+  return {
+    id: row.id,
+    round: row.round,
+    white: row.white_user_id,
+    black: row.black_user_id,
+    gameId: row.game_id,
+    result: row.result,
+    reason: row.reason,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+function saveTournament(tournament) {
+  return enqueueWrite(tournament.id, () => query(
+    `INSERT INTO tournaments (
+      id, name, format, status, created_by, time_control, rated, duration_minutes, rounds,
+      current_round, starts_at, started_at, ends_at, finished_at, updated_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
+    ON CONFLICT (id)
+    DO UPDATE SET status = EXCLUDED.status, current_round = EXCLUDED.current_round,
+      started_at = EXCLUDED.started_at, ends_at = EXCLUDED.ends_at,
+      finished_at = EXCLUDED.finished_at, updated_at = NOW()`,
+    [
+      tournament.id,
+      tournament.name,
+      tournament.format,
+      tournament.status,
+      tournament.createdBy,
+      tournament.timeControl,
+      tournament.rated,
+      tournament.durationMinutes,
+      tournament.rounds,
+      tournament.currentRound,
+      tournament.startsAt,
+      tournament.startedAt,
+      tournament.endsAt,
+      tournament.finishedAt,
+    ]
+  ));
+}
+
+function saveTournamentPlayer(tournamentId, player) {
+  return enqueueWrite(tournamentId, () => query(
+    `INSERT INTO tournament_players (
+      tournament_id, user_id, username, rating, score, tiebreak, streak, results_json,
+      withdrawn, paused, rank, joined_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    ON CONFLICT (tournament_id, user_id)
+    DO UPDATE SET score = EXCLUDED.score, tiebreak = EXCLUDED.tiebreak, streak = EXCLUDED.streak,
+      results_json = EXCLUDED.results_json, withdrawn = EXCLUDED.withdrawn,
+      paused = EXCLUDED.paused, rank = EXCLUDED.rank`,
+    [
+      tournamentId,
+      player.userId,
+      player.username,
+      player.rating,
+      player.score,
+      player.tiebreak,
+      player.streak,
+      JSON.stringify(player.results),
+      player.withdrawn,
+      player.paused,
+      player.rank,
+      player.joinedAt,
+    ]
+  ));
+}
+
+function deleteTournamentPlayer(tournamentId, userId) {
+  return enqueueWrite(tournamentId, () => query(
+    'DELETE FROM tournament_players WHERE tournament_id = $1 AND user_id = $2',
+    [tournamentId, userId]
+  ));
+}
+
+function saveTournamentPairing(tournamentId, pairing) {
+  return enqueueWrite(tournamentId, () => query(
+    `INSERT INTO tournament_pairings (
+      id, tournament_id, round, white_user_id, black_user_id, game_id, result, reason, finished_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (id)
+    DO UPDATE SET game_id = EXCLUDED.game_id, result = EXCLUDED.result,
+      reason = EXCLUDED.reason, finished_at = EXCLUDED.finished_at`,
+    [
+      pairing.id,
+      tournamentId,
+      pairing.round,
+      pairing.white,
+      pairing.black,
+      pairing.gameId,
+      pairing.result,
+      pairing.reason,
+      pairing.finishedAt,
+    ]
+  ));
+}
+
+async function loadTournamentDetails(row) {
+  const tournament = mapTournamentRow(row);
+  const [players, pairings] = await Promise.all([
+    query('SELECT * FROM tournament_players WHERE tournament_id = $1 ORDER BY joined_at ASC', [row.id]),
+    query('SELECT * FROM tournament_pairings WHERE tournament_id = $1 ORDER BY round ASC, created_at ASC', [row.id]),
+  ]);
+  return {
+    ...tournament,
+    players: players.rows.map(mapPlayerRow),
+    pairings: pairings.rows.map(mapPairingRow),
+  };
+}
+
+/** Resolves to the tournament with its players and pairings, or null. */
+async function findTournament(id) {
+  if (!id) return null;
+  await ensureTournamentSchema();
+  const result = await query('SELECT * FROM tournaments WHERE id = $1 LIMIT 1', [id]);
+  return result.rows[0] ? loadTournamentDetails(result.rows[0]) : null;
+}
+
+async function listTournaments({ status, limit = 50 } = {}) {
+  await ensureTournamentSchema();
+  const params = [];
+  let where = '';
+  if (status) {
+    params.push(status);
+    where = 'WHERE status = $1';
+  }
+  params.push(Math.max(1, Math.min(200, Number(limit) || 50)));
+  const result = await query(
+    `SELECT *
+     FROM tournaments
+     ${where}
+     ORDER BY starts_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows.map(mapTournamentRow);
+}
+
+async function listUnfinishedTournamentIds() {
+  await ensureTournamentSchema();
+  const result = await query(
+    `SELECT id
+     FROM tournaments
+     WHERE status IN ('created', 'started')
+     ORDER BY starts_at ASC`
+  );
+  return result.rows.map((row) => row.id);
+}
+
+module.exports = {
+  ensureTournamentSchema,
+  saveTournament,
+  saveTournamentPlayer,
+  deleteTournamentPlayer,
+  saveTournamentPairing,
+  findTournament,
+  listTournaments,
+  listUnfinishedTournamentIds,
+};
@@ -1,6 +1,19 @@
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
 const { query } = require('./db');
+const { SPEEDS } = require('./ratingService');
+
+function mapSpeedRatings(row) {
+  return SPEEDS.reduce((acc, speed) => {
+    if (row[`${speed}_rating`] == null) return acc;
+    acc[speed] = {
+      rating: Math.round(row[`${speed}_rating`]),
+      rd: Math.round(row[`${speed}_rd`]),
+      games: row[`${speed}_games`] ?? 0,
+    };
+    return acc;
+  }, {});
+}
 
 function mapUserRow(row) {
   if (!row) return null;
@@ -10,6 +23,7 @@ function mapUserRow(row) {
     email: row.email,
     rating: row.rating,
     streak: row.streak,
+    ratings: mapSpeedRatings(row),
     createdAt: row.created_at,
   };
 }
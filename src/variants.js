@@ -0,0 +1,64 @@
+const { Chess, DEFAULT_POSITION, validateFen } = require('chess.js');
+const {
+  chess960StartFen,
+  randomChess960Position,
+  createChess960Game,
+} = require('./chess960');
+
+const VARIANTS = ['standard', 'chess960', 'fromPosition'];
+
+const STANDARD_VARIANT = Object.freeze({ name: 'standard', position: null, initialFen: DEFAULT_POSITION });
+
+/**
+ * Turns the `variant`, `position` and `fen` fields of a create request into
+ * `{ name, position, initialFen }`. Throws with a client-facing message when
+ * the request is invalid.
+ */
+function parseVariant({ variant, position, fen } = {}) {
+  const name = variant == null || variant === '' ? 'standard' : variant;
+  if (!VARIANTS.includes(name)) {
+    throw new Error(`Unknown variant. Use one of: ${VARIANTS.join(', ')}`);
+  }
+
+  if (name === 'standard') {
+    return { ...STANDARD_VARIANT };
+  }
+
+  if (name === 'chess960') {
+    const number = position == null || position === '' ? randomChess960Position() : Number(position);
+    return { name, position: number, initialFen: chess960StartFen(number) };
+  }
+
+  if (typeof fen !== 'string' || !fen.trim()) {
+    throw new Error('A FEN is required for games from a position');
+  }
+  const initialFen = fen.trim();
+  const validation = validateFen(initialFen);
+  if (!validation.ok) {
+    throw new Error(`Invalid FEN: ${validation.error}`);
+  }
+  if (new Chess(initialFen).isGameOver()) {
+    throw new Error('The starting position is already decided');
+  }
+  return { name, position: null, initialFen };
+}
+
+/** Returns a chess.js-compatible game at the variant's starting position. */
+function createVariantGame(variant = STANDARD_VARIANT) {
+  if (variant.name === 'chess960') {
+    return createChess960Game(variant.initialFen);
+  }
+  return new Chess(variant.initialFen || DEFAULT_POSITION);
+}
+
+function isChess960(variant) {
+  return !!variant && variant.name === 'chess960';
+}
+
+module.exports = {
+  VARIANTS,
+  STANDARD_VARIANT,
+  parseVariant,
+  createVariantGame,
+  isChess960,
+};